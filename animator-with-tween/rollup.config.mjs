@@ -7,33 +7,61 @@ import livereload from 'rollup-plugin-livereload';
 const isProd = process.env.NODE_ENV === 'production';
 
 
-export default {
-  input: 'src/index.js',
-  output: [
-    {
-      file: 'site/script.min.js',
-      format: 'iife',  
-      name: 'PhysicsAnimator',
-      sourcemap: !isProd
+// Fresh plugin instances for each build
+const plugins = () => [
+  resolve(),
+  commonjs(),
+  isProd && terser({
+    mangle: {
+      keep_classnames: true,  // Preserve class names during minification
+      keep_fnames: false       // Optionally preserve function names
     }
-  ],
-  plugins: [
-    resolve(),
-    commonjs(),
-    isProd && terser({
-      mangle: {
-        keep_classnames: true,  // Preserve class names during minification
-        keep_fnames: false       // Optionally preserve function names
+  }),
+];
+
+
+export default [
+  // The library
+  {
+    input: 'src/animator-with-tween.js',
+    output: [
+      {
+        file: 'dist/animator-with-tween.esm.js',
+        format: 'es',
+        sourcemap: !isProd
+      },
+      {
+        file: 'dist/animator-with-tween.umd.cjs',
+        format: 'umd',
+        name: 'AnimatorWithTween',
+        sourcemap: !isProd
+      }
+    ],
+    plugins: plugins(),
+  },
+
+  // The demo
+  {
+    input: 'src/index.js',
+    output: [
+      {
+        file: 'site/script.min.js',
+        format: 'iife',  
+        name: 'PhysicsAnimator',
+        sourcemap: !isProd
       }
-    }),
-    serve({
-      open: true,
-      contentBase: 'site', // The folder to serve files from
-      port: 3010,
-    }),
-    !isProd && livereload({
-      watch: 'site', // The folder to watch for changes
-    }),
-  ],
+    ],
+    plugins: [
+      ...plugins(),
+      serve({
+        open: true,
+        contentBase: 'site', // The folder to serve files from
+        port: 3010,
+      }),
+      !isProd && livereload({
+        watch: 'site', // The folder to watch for changes
+      }),
+    ],
 
-};
\ No newline at end of file
+  },
+];
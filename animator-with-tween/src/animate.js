@@ -0,0 +1,465 @@
+/**
+ * animate(element, keyframes, options): runs TweenCalculator keyframes on an
+ * element, driven either by a PhysicsAnimator spring or by a duration and an
+ * easing, and applies the styles efficiently.
+ */
+
+import TweenCalculator from '../../tween-calculator/src/tween-calculator.js';
+import { convertKeyframeEffect } from '../../tween-calculator/src/keyframes.js';
+import { parseEasing } from '../../tween-calculator/src/easing.js';
+import PhysicsAnimator from '../../physics-animator/src/physics-animator.js';
+import { ticker } from '../../physics-animator/src/ticker.js';
+
+/**
+ * Keyframe properties written to the element's individual transform properties or combined into its
+ * transform, with the unit of plain numbers and the value when unset. x, y and z are written together
+ * as `translate`, rotate and scale are the CSS properties of those names, and the others are transform
+ * functions, composed in this order. CSS applies translate, rotate and scale before transform.
+ * @type {Object<string, {property: string, fn?: string, unit: string, identity: string, type: string}>}
+ */
+const TRANSFORM_SHORTHANDS = {
+  x: { property: 'translate', unit: 'px', identity: '0px', type: 'length' },
+  y: { property: 'translate', unit: 'px', identity: '0px', type: 'length' },
+  z: { property: 'translate', unit: 'px', identity: '0px', type: 'length' },
+  rotate: { property: 'rotate', unit: 'deg', identity: '0deg', type: 'length' },
+  scale: { property: 'scale', unit: '', identity: '1', type: 'list' },
+  rotateX: { property: 'transform', fn: 'rotateX', unit: 'deg', identity: '0deg', type: 'length' },
+  rotateY: { property: 'transform', fn: 'rotateY', unit: 'deg', identity: '0deg', type: 'length' },
+  skewX: { property: 'transform', fn: 'skewX', unit: 'deg', identity: '0deg', type: 'length' },
+  skewY: { property: 'transform', fn: 'skewY', unit: 'deg', identity: '0deg', type: 'length' },
+  scaleX: { property: 'transform', fn: 'scaleX', unit: '', identity: '1', type: 'number' },
+  scaleY: { property: 'transform', fn: 'scaleY', unit: '', identity: '1', type: 'number' }
+};
+
+// Springs drive the keyframe position, 0 to 1, so they rest within a fraction of the keyframe distance
+const POSITION_REST = { restDelta: 0.0005, restSpeed: 0.0005 };
+
+// The transform shorthands last written to each element, so later animations compose with them
+const shorthandStates = new WeakMap();
+
+// The animation running on each element
+const runningAnimations = new WeakMap();
+
+/**
+ * Get PhysicsAnimator spring options for driving a keyframe position from 0 to 1: unless set, the rest
+ * thresholds are scaled to that range rather than to pixels. Times are given in milliseconds, like every
+ * time in this package, and converted to the seconds PhysicsAnimator takes.
+ * @param {Object} [spring] - Spring options, see PhysicsAnimator.setSpring(), with duration and
+ *   timestep in milliseconds.
+ * @returns {Object} The spring options.
+ */
+export function positionSpring(spring = {}) {
+  const options = { ...POSITION_REST, ...spring };
+  if (options.duration !== undefined) options.duration /= 1000;
+  if (options.timestep !== undefined) options.timestep /= 1000;
+  return options;
+}
+
+/**
+ * Animate an element through keyframes.
+ * Keyframes are TweenCalculator keyframes (`[{ percent, styles }]`) or Web Animations keyframes
+ * (`[{ opacity: 0 }, { opacity: 1 }]` or `{ opacity: [0, 1] }`). Missing 0% and 100% keyframes are
+ * filled from the element's current style, and relative values (`+=20px`) start from it.
+ * Besides CSS properties, keyframes can use the transform shorthands x, y and z, written together as
+ * the CSS translate property, and rotateX, rotateY, skewX, skewY, scaleX and scaleY, written together
+ * as the transform. rotate and scale are the CSS properties; plain numbers get deg or no unit like the
+ * shorthands. Shorthands start from their last animated value, not from a translate or transform set
+ * in CSS.
+ * A new animation on an element interrupts the one running on it.
+ * @param {Element} element - The element.
+ * @param {Object[]|Object} keyframes - The keyframes.
+ * @param {Object} [options] - Animation options. Other options (colorSpace, composite, properties...)
+ *   are passed to TweenCalculator.
+ * @param {Object} [options.spring] - Spring options for PhysicsAnimator, see PhysicsAnimator.setSpring(),
+ *   except that its duration is in milliseconds, like every time here: `{ duration: 700, bounce: 0.2 }`.
+ *   The spring drives the keyframe position from 0 to 1, overshooting it when it bounces.
+ * @param {number} [options.duration] - The duration, in milliseconds, of a timed animation instead of a spring.
+ * @param {string|function} [options.easing='linear'] - The easing of a timed animation.
+ * @param {number} [options.velocity=0] - The initial velocity of a spring, in keyframe positions per second.
+ * @param {AbortSignal} [options.signal] - Cancels the animation when aborted.
+ * @returns {ElementAnimation} The animation.
+ */
+export function animate(element, keyframes, options = {}) {
+  return new ElementAnimation(element, keyframes, options);
+}
+
+/**
+ * An animation started by animate(). Its finished promise resolves, like PhysicsAnimator's, with
+ * `{ status, position }`: 'completed' at rest, 'interrupted', 'stopped' or 'cancelled'.
+ */
+export class ElementAnimation {
+
+  /**
+   * Creates an instance of ElementAnimation and starts it. See animate().
+   * @param {Element} element - The element.
+   * @param {Object[]|Object} keyframes - The keyframes.
+   * @param {Object} [options] - Animation options.
+   */
+  constructor(element, keyframes, {
+    spring = null, duration, easing = 'linear', velocity = 0, signal = null, ...tweenOptions
+  } = {}) {
+
+    if (spring && duration !== undefined) {
+      throw new Error('An animation takes either a spring or a duration, not both.');
+    }
+    if (duration !== undefined && (typeof duration !== 'number' || duration < 0)) {
+      throw new Error('Duration must be a number of at least 0.');
+    }
+
+    this.element = element;
+    this.duration = duration;
+    this.easing = parseEasing(easing);
+    this.playbackRate = 1;
+    this.position = 0;
+    this.frameId = null;
+    this.renderStyles = createStyleRenderer(element, keyframes, tweenOptions);
+
+    const previous = runningAnimations.get(element);
+    if (previous) previous.interrupt();
+    runningAnimations.set(element, this);
+
+    if (duration !== undefined) {
+      this.animator = null;
+      this.finished = this.startTimed(signal);
+    } else {
+      this.animator = new PhysicsAnimator({ spring: positionSpring(spring) });
+      this.finished = this.animator.animateTo(0, 1, velocity, ({ position }) => this.render(position), { signal });
+    }
+
+    this.finished.then(() => this.release(), () => this.release());
+  }
+
+  /**
+   * Applies the keyframes at a position.
+   * @param {number} position - The keyframe position, 0 to 1 (a spring can overshoot it).
+   */
+  render(position) {
+    this.position = position;
+    this.renderStyles(position);
+  }
+
+  /**
+   * Starts a timed animation on the shared ticker.
+   * @param {AbortSignal} [signal] - Cancels the animation when aborted.
+   * @returns {Promise<{status: string, position: number}>} Resolves when the animation ends.
+   */
+  startTimed(signal) {
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+
+    this.elapsed = 0;
+    this.prevTime = null;
+    this.isPaused = false;
+    this.tick = this.tick.bind(this);
+    this.render(this.easing(0));
+
+    const promise = new Promise((resolve, reject) => {
+      this.resolvePending = resolve;
+      this.rejectPending = reject;
+    });
+    this.frameId = ticker.request(this.tick);
+
+    if (signal) {
+      const onAbort = () => this.cancel({ reject: true, reason: signal.reason });
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(() => signal.removeEventListener('abort', onAbort), () => {});
+    }
+    return promise;
+  }
+
+  /**
+   * Advances a timed animation by one frame.
+   * @param {number} time - The frame timestamp, in milliseconds.
+   */
+  tick(time) {
+    this.frameId = null;
+    if (this.isPaused || !this.resolvePending) return;
+    if (this.prevTime !== null) {
+      this.elapsed += (time - this.prevTime) * this.playbackRate * PhysicsAnimator.globalPlaybackRate;
+    }
+    this.prevTime = time;
+
+    const done = this.elapsed >= this.duration;
+    this.render(this.easing(done ? 1 : this.elapsed / this.duration));
+    if (done) {
+      this.settle({ status: 'completed', position: this.position });
+    } else {
+      this.frameId = ticker.request(this.tick);
+    }
+  }
+
+  /**
+   * Ends a timed animation's frame loop and settles its promise.
+   * @param {Object} result - The result to resolve with.
+   * @param {*} [reason] - When set, the promise rejects with it instead.
+   */
+  settle(result, reason) {
+    if (this.frameId !== null) {
+      ticker.cancel(this.frameId);
+      this.frameId = null;
+    }
+    const { resolvePending, rejectPending } = this;
+    this.resolvePending = null;
+    this.rejectPending = null;
+    if (reason !== undefined) {
+      if (rejectPending) rejectPending(reason);
+    } else if (resolvePending) {
+      resolvePending(result);
+    }
+  }
+
+  /**
+   * Pauses the animation.
+   */
+  pause() {
+    if (this.animator) {
+      this.animator.pause();
+    } else if (this.resolvePending && !this.isPaused) {
+      this.isPaused = true;
+      ticker.cancel(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Resumes a paused animation.
+   */
+  resume() {
+    if (this.animator) {
+      this.animator.resume();
+    } else if (this.isPaused) {
+      this.isPaused = false;
+      this.prevTime = null;
+      this.frameId = ticker.request(this.tick);
+    }
+  }
+
+  /**
+   * Jumps to a time of the animation, see PhysicsAnimator.seek().
+   * @param {number} time - The time, in milliseconds.
+   */
+  seek(time) {
+    if (this.animator) {
+      this.animator.seek(time);
+      return;
+    }
+    if (typeof time !== 'number' || time < 0) {
+      throw new Error('Seek time must be a number of at least 0.');
+    }
+    this.elapsed = Math.min(time, this.duration);
+    this.prevTime = null;
+    this.render(this.easing(this.duration === 0 ? 1 : this.elapsed / this.duration));
+  }
+
+  /**
+   * Sets how fast the animation runs. The global rate, PhysicsAnimator.setGlobalPlaybackRate(), applies on top.
+   * @param {number} rate - The playback rate, at least 0.
+   */
+  setPlaybackRate(rate) {
+    if (this.animator) {
+      this.animator.setPlaybackRate(rate);
+      return;
+    }
+    if (typeof rate !== 'number' || rate < 0 || !Number.isFinite(rate)) {
+      throw new Error('Playback rate must be a finite number of at least 0.');
+    }
+    this.playbackRate = rate;
+  }
+
+  /**
+   * Stops the animation where it is. Its promise resolves with status 'stopped'.
+   */
+  stop() {
+    if (this.animator) this.animator.stop();
+    else this.settle({ status: 'stopped', position: this.position });
+  }
+
+  /**
+   * Cancels the animation where it is, see PhysicsAnimator.cancel().
+   * @param {Object} [options] - { reject, reason }.
+   */
+  cancel({ reject = false, reason } = {}) {
+    if (this.animator) {
+      this.animator.cancel({ reject, reason });
+      return;
+    }
+    const error = reject ? (reason !== undefined ? reason : new Error('The animation was cancelled.')) : undefined;
+    this.settle({ status: 'cancelled', position: this.position }, error);
+  }
+
+  /**
+   * Ends the animation because another one took the element over.
+   */
+  interrupt() {
+    if (this.animator) {
+      this.animator.settle('interrupted');
+      this.animator.halt();
+    } else {
+      this.settle({ status: 'interrupted', position: this.position });
+    }
+  }
+
+  /**
+   * Forgets the animation once it has ended.
+   */
+  release() {
+    if (runningAnimations.get(this.element) === this) runningAnimations.delete(this.element);
+  }
+}
+
+/**
+ * Create a function applying keyframes to an element at a position. The styles the keyframes
+ * start from (missing 0% and 100% keyframes, relative values) are read on the first call.
+ * @param {Element} element - The element.
+ * @param {Object[]|Object} keyframes - The keyframes, see animate().
+ * @param {Object} [tweenOptions] - Options passed to TweenCalculator.
+ * @param {Map<string, string>} [written] - The values last written to the element, so only
+ *   properties whose value changed are written. Renderers of one element can share it.
+ * @returns {function(number)} Applies the keyframes at a position (0 to 1, or beyond).
+ */
+export function createStyleRenderer(element, keyframes, tweenOptions = {}, written = new Map()) {
+  const shorthandTypes = {};
+  Object.entries(TRANSFORM_SHORTHANDS).forEach(([prop, { type }]) => {
+    shorthandTypes[prop] = type;
+  });
+  const tween = new TweenCalculator(normalizeKeyframes(keyframes), {
+    ...tweenOptions,
+    properties: { ...shorthandTypes, ...tweenOptions.properties }
+  });
+  let base = null;
+
+  return (position) => {
+    if (!base) {
+      base = readStyles(element, tween.tracks.map(track => track.prop));
+      tween.fillImplicitKeyframes(base);
+    }
+    const styles = tween.calculateTween(position, base);
+
+    const shorthands = {};
+    const updates = {};
+    for (const [prop, value] of Object.entries(styles)) {
+      if (TRANSFORM_SHORTHANDS[prop]) shorthands[prop] = value;
+      else updates[prop] = value;
+    }
+
+    if (Object.keys(shorthands).length > 0) {
+      const state = { ...shorthandStates.get(element), ...shorthands };
+      shorthandStates.set(element, state);
+      Object.assign(updates, composeShorthands(updates.transform, state));
+    }
+
+    for (const [prop, value] of Object.entries(updates)) {
+      const text = String(value);
+      if (written.get(prop) === text) continue;
+      written.set(prop, text);
+      writeStyle(element, prop, text);
+    }
+  };
+}
+
+/**
+ * Convert keyframes to TweenCalculator keyframes, adding units to plain transform shorthand numbers.
+ * @param {Object[]|Object} keyframes - TweenCalculator or Web Animations keyframes.
+ * @returns {Object[]} TweenCalculator keyframes.
+ */
+function normalizeKeyframes(keyframes) {
+  const isTweenFormat = Array.isArray(keyframes) && keyframes.every(kf => kf && kf.styles && 'percent' in kf);
+  const frames = isTweenFormat ? keyframes : convertKeyframeEffect(keyframes);
+
+  return frames.map(frame => {
+    const styles = { ...frame.styles };
+    for (const [prop, value] of Object.entries(styles)) {
+      if (TRANSFORM_SHORTHANDS[prop] && typeof value === 'number') {
+        styles[prop] = `${value}${TRANSFORM_SHORTHANDS[prop].unit}`;
+      }
+    }
+    return { ...frame, styles };
+  });
+}
+
+/**
+ * Read the current value of properties: transform shorthands from the last animation (rotate and
+ * scale from the style until then), SVG geometry from attributes, and other properties from the
+ * inline or computed style.
+ * @param {Element} element - The element.
+ * @param {string[]} props - The properties.
+ * @returns {Object} The values, keyed by property.
+ */
+function readStyles(element, props) {
+  const shorthands = shorthandStates.get(element) || {};
+  let computed = null;
+  const styles = {};
+
+  for (const prop of props) {
+    if (TRANSFORM_SHORTHANDS[prop]) {
+      const { property, identity } = TRANSFORM_SHORTHANDS[prop];
+      let value = shorthands[prop];
+      if (value === undefined && property === prop) {
+        computed = computed || window.getComputedStyle(element);
+        value = element.style[prop] || computed[prop];
+      }
+      styles[prop] = value && value !== 'none' ? value : identity;
+    } else if (isAttribute(element, prop)) {
+      styles[prop] = element.getAttribute(prop);
+    } else {
+      computed = computed || window.getComputedStyle(element);
+      styles[prop] = prop.startsWith('--')
+        ? element.style.getPropertyValue(prop).trim() || computed.getPropertyValue(prop).trim()
+        : element.style[prop] || computed[prop];
+    }
+  }
+  return styles;
+}
+
+/**
+ * Compose the properties the transform shorthands are written to.
+ * @param {string} [transform] - The animated transform, which comes before the shorthand functions.
+ * @param {Object<string, string>} shorthands - The shorthand values.
+ * @returns {Object<string, string>} The translate, rotate, scale and transform values to write.
+ */
+function composeShorthands(transform, shorthands) {
+  const has = (prop) => prop in shorthands;
+  const updates = {};
+
+  if (has('x') || has('y') || has('z')) {
+    const [x, y, z] = ['x', 'y', 'z'].map(prop => (has(prop) ? shorthands[prop] : TRANSFORM_SHORTHANDS[prop].identity));
+    updates.translate = has('z') ? `${x} ${y} ${z}` : `${x} ${y}`;
+  }
+  if (has('rotate')) updates.rotate = shorthands.rotate;
+  if (has('scale')) updates.scale = shorthands.scale;
+
+  const functions = Object.keys(TRANSFORM_SHORTHANDS)
+    .filter(prop => TRANSFORM_SHORTHANDS[prop].property === 'transform' && has(prop))
+    .map(prop => `${TRANSFORM_SHORTHANDS[prop].fn}(${shorthands[prop]})`);
+  if (functions.length > 0) {
+    if (transform && transform !== 'none') functions.unshift(transform);
+    updates.transform = functions.join(' ');
+  }
+  return updates;
+}
+
+/**
+ * Check whether a property is written as an attribute: SVG shape geometry.
+ * @param {Element} element - The element.
+ * @param {string} prop - The property.
+ * @returns {boolean} True for `d` and `points` on SVG elements.
+ */
+function isAttribute(element, prop) {
+  return typeof SVGElement !== 'undefined' && element instanceof SVGElement && (prop === 'd' || prop === 'points');
+}
+
+/**
+ * Write a property to an element.
+ * @param {Element} element - The element.
+ * @param {string} prop - The property.
+ * @param {string} value - The value.
+ */
+function writeStyle(element, prop, value) {
+  if (isAttribute(element, prop)) {
+    element.setAttribute(prop, value);
+  } else if (prop.startsWith('--')) {
+    // Custom properties can only be set through setProperty()
+    element.style.setProperty(prop, value);
+  } else {
+    element.style[prop] = value;
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * The library entry: animate() and ElementAnimation, Timeline and stagger
+ * delays, and ScrollTimeline. The demo (index.js) is built separately.
+ */
+
+export { animate, ElementAnimation } from './animate.js';
+export { Timeline, staggerDelays } from './timeline.js';
+export { ScrollTimeline } from './scroll-timeline.js';
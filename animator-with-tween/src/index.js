@@ -1,8 +1,14 @@
 
 
-import TweenCalculator from '../../tween-calculator/dist/tween-calculator.min.js'
+import { animate } from './animate.js'
 
-import PhysicsAnimator from '../../physics-animator/dist/physics-animator.min'
+import { Timeline } from './timeline.js'
+
+import { ScrollTimeline } from './scroll-timeline.js'
+
+import PhysicsAnimator from '../../physics-animator/src/physics-animator.js'
+
+import PointerGesture from '../../physics-animator/src/pointer-gesture.js'
 
 
 
@@ -42,23 +48,24 @@ const framesForward = [
 ];
 
 
+// Relative to wherever framesForward left the box
 const framesBack = [
    {
     percent: 0,
     styles: {
-      transform: 'translateX(400px)  translateY(400px) rotate(-720deg) scale(2.0)',
+      transform: 'translateX(+=0px) translateY(+=0px) rotate(+=0deg) scale(*=1)',
       backgroundColor: '#ff00ff',
-      borderWidth: '10px',
-      borderRadius: '30px'
+      borderWidth: '+=0px',
+      borderRadius: '+=0px'
     }
   },
   {
     percent: 100,
     styles: {
-      transform: 'translateX(50px)  translateY(50px) rotate(0deg) scale(0.5)',
+      transform: 'translateX(-=350px) translateY(-=350px) rotate(+=360deg) scale(*=0.25)',
       backgroundColor: '#f0f000',
-      borderWidth: '1px',
-      borderRadius: '0px'
+      borderWidth: '-=9px',
+      borderRadius: '-=30px'
     }
   }
 ];
@@ -70,39 +77,15 @@ const framesBack = [
 
 
 
-const animator = new PhysicsAnimator({ attraction: 0.01, friction: 0.03});
-
-const tweenCalculator = new TweenCalculator(framesForward);
 const box = document.getElementById('box')
 const go = document.getElementById('go')
 
-function updateView({ position, progress }) {
-  const tweenStyles = tweenCalculator.calculateTween(progress);
-  // console.log(`tweenStyles ${progress}`, tweenStyles)
-  applyTweenStyles(box, tweenStyles);
-}
-
-function applyTweenStyles(element, styles) {
-  for (const [prop, value] of Object.entries(styles)) {
-    element.style[prop] = value;
-  }
-}
-
 
 go.addEventListener('click', function (argument) {
-  // change to original set of frames
-  tweenCalculator.setKeyframes(framesForward) 
-  animator.animateTo(0, 500, 20, updateView)
-    .then(() => {
-      // wait a moment and run again 
-      setTimeout(() => {
-        // change to original set of frames
-        tweenCalculator.setKeyframes(framesBack) 
-
-        animator.animateTo(0, 500, 50, updateView);
-      }, 100)
-      
-    });
+  // forward, wait a moment, and back again
+  new Timeline()
+    .add(box, framesForward, { spring: { duration: 1200, bounce: 0.2 } })
+    .add(box, framesBack, { spring: { duration: 800, bounce: 0.3 } }, '+=100');
 
 })
 
@@ -129,15 +112,9 @@ const panelIn = [
   }
 ];
 
+// The 0% keyframes are filled from the panel's current style, so an interrupted
+// slide continues from wherever it stopped
 const panelSlideIn = [
-   {
-    percent: 0,
-    styles: {
-      transform: 'translateX(100%) scale(1.0)',
-      filter: 'blur(15px) opacity(1.0)'
-
-    }
-  },
   {
     percent: 95,
     styles: {
@@ -157,13 +134,6 @@ const panelSlideIn = [
 
 
 const panelOut = [
-  {
-    percent: 0,
-    styles: {
-      transform: 'translateX(0%) scale(1)',
-      filter: 'blur(0px) opacity(1)'
-    }
-  },
   {
     percent: 100,
     styles: {
@@ -175,37 +145,50 @@ const panelOut = [
 ];
 
 
-// { attraction = 0.026, friction = 0.28 } 
-const panelAnimator = new PhysicsAnimator({attraction: 0.038 });
-
 const panel = document.getElementById('panel');
 const panelInButton = document.getElementById('panel-in');
 const panelOutButton = document.getElementById('panel-out');
-const panelTween = new TweenCalculator(panelSlideIn);
-
-
-function updatePanel ({ position, progress }) {
-  const tweenStyles = panelTween.calculateTween(progress);
-  // console.log(`update Panel ${progress}`, tweenStyles)
-  applyTweenStyles(panel, tweenStyles);
-}
+let panelAnimation = null;
 
 panelInButton.addEventListener('click', function (argument) {
-  panelTween.setKeyframes(panelSlideIn) 
-  panelAnimator.animateTo(0, 400, 40, updatePanel)
+  panelDragAnimator.stop()
+  panelAnimation = animate(panel, panelSlideIn, { spring: { duration: 700 } })
 });
 
 panelOutButton.addEventListener('click', function (argument) {
-  panelTween.setKeyframes(panelOut) 
-  panelAnimator.animateTo(0, 360, 60, updatePanel)
+  panelDragAnimator.stop()
+  panelAnimation = animate(panel, panelOut, { duration: 450, easing: 'ease-in' })
 });
 
-// setTimeout(function(){
-//   panelAnimator.animateTo(0, 500, 10, updatePanel)
-//     .then(() => {
-//       console.log('panel done')
-//       panelTween.setKeyframes(panelOut) 
-//     })
-// }, 1000)
+// Drag the panel sideways: a flick throws it out or back in, and dragging past
+// its open position is rubber-banded
+const panelDragAnimator = new PhysicsAnimator({
+  attraction: 0.038,
+  bounds: { min: 0, overscroll: 'rubberband', dimension: 200 }
+});
+
+function movePanel ({ position }) {
+  panel.style.transform = `translateX(${position}px) scale(1.0)`;
+}
+
+// drag the panel, and fling it open or shut
+new PointerGesture(panel, {
+  animator: panelDragAnimator,
+  axis: 'x',
+  from: () => new DOMMatrix(getComputedStyle(panel).transform).m41,
+  decay: { snapPoints: [0, panel.offsetWidth * 1.1], snap: 'velocity' },
+  onStart: () => panelAnimation && panelAnimation.stop(),
+  onDrag: movePanel,
+  onUpdate: movePanel
+});
+
+
+
+
+// scroll
 
+const reveal = document.getElementById('reveal')
 
+// fade and slide in while entering the viewport, smoothed with a spring
+new ScrollTimeline({ target: reveal.parentElement, range: 'entry 0% cover 50%', smooth: { duration: 400 } })
+  .add(reveal, { opacity: [0, 1], x: [-100, 0], rotate: [-20, 0] })
@@ -0,0 +1,300 @@
+/**
+ * ScrollTimeline: drives keyframe animations and timelines from scrolling
+ * instead of time, either by the scroll offset of a container or by an
+ * element's way through the scrollport (a view timeline). Scroll positions
+ * are measured in the ticker's read phase and styles written in its write
+ * phase, optionally smoothed by a PhysicsAnimator spring.
+ */
+
+import { createStyleRenderer, positionSpring } from './animate.js';
+import { Timeline } from './timeline.js';
+import PhysicsAnimator from '../../physics-animator/src/physics-animator.js';
+import { ticker } from '../../physics-animator/src/ticker.js';
+
+const VIEW_RANGES = ['cover', 'contain', 'entry', 'exit', 'entry-crossing', 'exit-crossing'];
+
+export class ScrollTimeline {
+
+  /**
+   * Creates an instance of ScrollTimeline and renders it at the current scroll position.
+   * Without a target, the position follows the scroll offset of the source. With a target, it
+   * follows the target's way through the source's scrollport, like CSS view timelines; the
+   * target's layout is measured, so it shouldn't be an element the keyframes transform.
+   * @param {Object} [options] - Timeline options.
+   * @param {Element} [options.source] - The scroll container. Defaults to the document.
+   * @param {string} [options.axis='y'] - The scroll axis, 'x' or 'y'.
+   * @param {Element} [options.target] - The element whose way through the scrollport drives the position.
+   * @param {string|number[]} [options.range] - With a target, the part of its way that maps to 0 to 1:
+   *   a range name (cover, contain, entry, exit, entry-crossing or exit-crossing) or a start and an end
+   *   such as 'entry 0% cover 50%'. Defaults to 'cover'. Without a target, the scroll offsets, in
+   *   pixels, that map to 0 and 1, as [start, end]. Defaults to the whole scroll range.
+   * @param {boolean|Object} [options.smooth=false] - Follow the scroll position with a spring instead
+   *   of directly: true, or spring options (see animate()), with the duration in milliseconds.
+   * @param {function} [options.onUpdate] - Called with `{ position }` whenever the position is rendered,
+   *   e.g. to feed it to TweenCalculator.calculateTween().
+   */
+  constructor({
+    source = null,
+    axis = 'y',
+    target = null,
+    range = null,
+    smooth = false,
+    onUpdate = null
+  } = {}) {
+    if (axis !== 'x' && axis !== 'y') {
+      throw new Error('Axis must be \'x\' or \'y\'.');
+    }
+    if (!target && range !== null && !(Array.isArray(range) && range.length === 2 && range.every(Number.isFinite))) {
+      throw new Error('A scroll range must be [start, end] in pixels.');
+    }
+
+    this.isDocument = !source;
+    this.source = source || document.scrollingElement || document.documentElement;
+    this.axis = axis;
+    this.target = target;
+    this.range = target ? parseViewRange(range || 'cover') : range;
+    this.onUpdate = onUpdate;
+
+    this.renderers = [];
+    this.position = null;
+
+    // The values last written to each element, shared by the animations on it
+    this.written = new WeakMap();
+
+    this.animator = smooth ? new PhysicsAnimator({ spring: positionSpring(smooth === true ? {} : smooth) }) : null;
+    this.readId = null;
+    this.writeId = null;
+    this.render = this.render.bind(this);
+    this.update = this.update.bind(this);
+
+    // Scroll events of the document fire on the window
+    this.eventTarget = this.isDocument ? window : this.source;
+    this.eventTarget.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleScroll);
+
+    // A target only needs measuring while it intersects the scrollport, and once more when it leaves
+    this.isIntersecting = false;
+    this.observer = null;
+    if (target && typeof IntersectionObserver === 'function') {
+      this.observer = new IntersectionObserver(this.handleIntersection, { root: this.isDocument ? null : this.source });
+      this.observer.observe(target);
+    }
+
+    this.requestUpdate();
+  }
+
+  /**
+   * Adds keyframe animations of elements, or a timeline, driven by the scroll position.
+   * `add(targets, keyframes, options)` animates one element or a list of them; `add(timeline)` plays a
+   * Timeline from its start (at position 0) to its end (at position 1); a pending play() or reverse()
+   * of the timeline resolves with status 'interrupted'.
+   * @param {Element|Element[]|NodeList|Timeline} targets - The elements, or a timeline.
+   * @param {Object[]|Object} [keyframes] - The keyframes, see animate().
+   * @param {Object} [options] - TweenCalculator options (colorSpace, composite, properties...).
+   * @returns {ScrollTimeline} The scroll timeline, for chaining.
+   */
+  add(targets, keyframes, options = {}) {
+    const renderers = [];
+    if (targets instanceof Timeline) {
+      targets.pause();
+      targets.settle('interrupted');
+      renderers.push((position) => targets.render(position * targets.duration));
+    } else {
+      const elements = typeof Element !== 'undefined' && targets instanceof Element ? [targets] : Array.from(targets);
+      elements.forEach(element => {
+        if (!this.written.has(element)) this.written.set(element, new Map());
+        renderers.push(createStyleRenderer(element, keyframes, options, this.written.get(element)));
+      });
+    }
+
+    this.renderers.push(...renderers);
+    if (this.position !== null) renderers.forEach(render => render(this.position));
+    return this;
+  }
+
+  /**
+   * Gets the rendered position.
+   * @returns {number} The position, 0 to 1, or beyond while a smoothing spring overshoots.
+   */
+  getProgress() {
+    return this.position === null ? 0 : this.position;
+  }
+
+  /**
+   * Stops following the scroll position.
+   */
+  destroy() {
+    this.eventTarget.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleScroll);
+    if (this.observer) this.observer.disconnect();
+    if (this.animator) this.animator.stop();
+    if (this.readId !== null) ticker.cancel(this.readId);
+    if (this.writeId !== null) ticker.cancel(this.writeId);
+    this.readId = null;
+    this.writeId = null;
+  }
+
+  /**
+   * Measures the scroll position in the next frame.
+   */
+  handleScroll = () => {
+    if (this.observer && !this.isIntersecting) return;
+    this.requestUpdate();
+  };
+
+  /**
+   * Follows the target into and out of the scrollport.
+   * @param {IntersectionObserverEntry[]} entries - The observer entries.
+   */
+  handleIntersection = (entries) => {
+    entries.forEach(entry => {
+      this.isIntersecting = entry.isIntersecting;
+    });
+    this.requestUpdate();
+  };
+
+  /**
+   * Schedules a measurement in the read phase of the next frame, unless one is pending.
+   */
+  requestUpdate() {
+    if (this.readId === null) this.readId = ticker.read(this.update);
+  }
+
+  /**
+   * Measures the scroll position and moves the animations to it.
+   */
+  update() {
+    this.readId = null;
+    const progress = this.measure();
+
+    if (!this.animator) {
+      if (this.writeId === null) {
+        this.writeId = ticker.write(() => {
+          this.writeId = null;
+          this.render(progress);
+        });
+      }
+      return;
+    }
+
+    if (this.animator.isAnimating) {
+      this.animator.retarget(progress);
+    } else {
+      // The first measurement is where the spring starts
+      this.animator.animateTo(this.position === null ? progress : this.position, progress, 0, ({ position }) => this.render(position));
+    }
+  }
+
+  /**
+   * Maps the scroll position of the source to a position along the range.
+   * @returns {number} The position, 0 to 1.
+   */
+  measure() {
+    const vertical = this.axis === 'y';
+    const scroll = vertical ? this.source.scrollTop : this.source.scrollLeft;
+    const viewport = vertical ? this.source.clientHeight : this.source.clientWidth;
+
+    if (!this.target) {
+      const [start, end] = this.range || [0, (vertical ? this.source.scrollHeight : this.source.scrollWidth) - viewport];
+      return progressBetween(scroll, start, end);
+    }
+
+    // The target's offset within the scrolled content
+    const rect = this.target.getBoundingClientRect();
+    const sourceStart = this.isDocument
+      ? 0
+      : this.source.getBoundingClientRect()[vertical ? 'top' : 'left'] + (vertical ? this.source.clientTop : this.source.clientLeft);
+    const offset = rect[vertical ? 'top' : 'left'] - sourceStart + scroll;
+    const size = rect[vertical ? 'height' : 'width'];
+
+    const [start, end] = this.range.map(({ name, percent }) => {
+      const [from, to] = viewRangeOffsets(name, offset, size, viewport);
+      return from + (to - from) * percent / 100;
+    });
+    return progressBetween(scroll, start, end);
+  }
+
+  /**
+   * Renders the animations at a position.
+   * @param {number} position - The position.
+   */
+  render(position) {
+    if (position === this.position) return;
+    this.position = position;
+    this.renderers.forEach(render => render(position));
+    if (this.onUpdate) this.onUpdate({ position });
+  }
+}
+
+/**
+ * Parse a view range such as 'cover', 'entry 25%' or 'entry 0% cover 50%'. A lone range name spans it
+ * from 0% to 100%; a start without an end ends at cover 100%.
+ * @param {string} range - The range.
+ * @returns {Array<{name: string, percent: number}>} The start and the end.
+ * @throws {Error} If the range is invalid.
+ */
+function parseViewRange(range) {
+  const tokens = typeof range === 'string' ? range.trim().split(/\s+/) : [];
+  const points = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const name = tokens[i];
+    const percentMatch = i + 1 < tokens.length && tokens[i + 1].match(/^(-?\d*\.?\d+)%$/);
+    if (!VIEW_RANGES.includes(name)) {
+      throw new Error(`Unknown view range: ${name}. Use one of ${VIEW_RANGES.join(', ')}.`);
+    }
+    points.push({ name, percent: percentMatch ? Number(percentMatch[1]) : null });
+    if (percentMatch) i++;
+  }
+  if (points.length === 0 || points.length > 2) {
+    throw new Error('A view range must be a range name, or a start and an end such as \'entry 0% cover 50%\'.');
+  }
+
+  const [start, end] = points;
+  if (!end) {
+    return start.percent === null
+      ? [{ name: start.name, percent: 0 }, { name: start.name, percent: 100 }]
+      : [start, { name: 'cover', percent: 100 }];
+  }
+  return [
+    { name: start.name, percent: start.percent === null ? 0 : start.percent },
+    { name: end.name, percent: end.percent === null ? 100 : end.percent }
+  ];
+}
+
+/**
+ * Get the scroll offsets at which a named view range starts and ends.
+ * @param {string} name - The range name.
+ * @param {number} offset - The target's offset within the scrolled content.
+ * @param {number} size - The target's size.
+ * @param {number} viewport - The size of the scrollport.
+ * @returns {number[]} [start, end].
+ */
+function viewRangeOffsets(name, offset, size, viewport) {
+  // Cover: from the target's start edge entering the scrollport to its end edge leaving it
+  const coverStart = offset - viewport;
+  const coverEnd = offset + size;
+  // Contain: while the target is fully inside the scrollport, or fills it when it is larger
+  const containStart = Math.min(offset + size - viewport, offset);
+  const containEnd = Math.max(offset + size - viewport, offset);
+
+  switch (name) {
+    case 'cover': return [coverStart, coverEnd];
+    case 'contain': return [containStart, containEnd];
+    case 'entry': return [coverStart, containStart];
+    case 'exit': return [containEnd, coverEnd];
+    case 'entry-crossing': return [coverStart, coverStart + size];
+    default: return [offset, coverEnd];
+  }
+}
+
+/**
+ * Get where a value lies between a start and an end.
+ * @param {number} value - The value.
+ * @param {number} start - The value at 0.
+ * @param {number} end - The value at 1.
+ * @returns {number} The position, clamped to 0 to 1.
+ */
+function progressBetween(value, start, end) {
+  if (end === start) return value >= end ? 1 : 0;
+  return Math.min(Math.max((value - start) / (end - start), 0), 1);
+}
@@ -0,0 +1,413 @@
+/**
+ * Timeline: schedules keyframe animations (timed or spring-driven) and nested
+ * timelines on one playhead, which can be played, reversed, paused and sought.
+ * Spring animations are simulated up front, so every child is a pure function
+ * of the timeline's time.
+ */
+
+import { createStyleRenderer, positionSpring } from './animate.js';
+import { parseEasing } from '../../tween-calculator/src/easing.js';
+import PhysicsAnimator from '../../physics-animator/src/physics-animator.js';
+import { ticker } from '../../physics-animator/src/ticker.js';
+
+const POSITION_REGEX = /^(.*?)(?:([+-])=(\d*\.?\d+))?$/;
+
+/**
+ * Compute stagger delays for a list of elements.
+ * @param {Element[]|number} elements - The elements, or their count.
+ * @param {Object|number} stagger - The delay between neighbours in milliseconds, or stagger options.
+ * @param {number} [stagger.each=0] - The delay between neighbours, in milliseconds.
+ * @param {string|number} [stagger.from='start'] - Where the stagger starts: 'start', 'center', 'end' or an index.
+ * @param {number[]|string} [stagger.grid] - [rows, columns] to stagger by distance on a grid, or 'auto'
+ *   to read the columns from the elements' layout.
+ * @returns {number[]} The delay of each element, in milliseconds.
+ */
+export function staggerDelays(elements, stagger) {
+  const { each = 0, from = 'start', grid = null } = typeof stagger === 'number' ? { each: stagger } : stagger;
+  const count = typeof elements === 'number' ? elements : elements.length;
+  if (typeof each !== 'number' || each < 0) {
+    throw new Error('Stagger must be a number of at least 0.');
+  }
+  if (!['start', 'center', 'end'].includes(from) && typeof from !== 'number') {
+    throw new Error('Stagger from must be \'start\', \'center\', \'end\' or an index.');
+  }
+
+  if (!grid) {
+    const origin = from === 'start' ? 0 : from === 'center' ? (count - 1) / 2 : from === 'end' ? count - 1 : from;
+    return Array.from({ length: count }, (_, i) => Math.abs(i - origin) * each);
+  }
+
+  const [rows, columns] = grid === 'auto' ? measureGrid(elements) : grid;
+  const originColumn = from === 'start' ? 0 : from === 'center' ? (columns - 1) / 2 : from === 'end' ? columns - 1 : from % columns;
+  const originRow = from === 'start' ? 0 : from === 'center' ? (rows - 1) / 2 : from === 'end' ? rows - 1 : Math.floor(from / columns);
+  return Array.from({ length: count }, (_, i) =>
+    Math.hypot((i % columns) - originColumn, Math.floor(i / columns) - originRow) * each
+  );
+}
+
+/**
+ * Read the grid elements are laid out in: the columns are the elements on the first one's row.
+ * @param {Element[]} elements - The elements.
+ * @returns {number[]} [rows, columns].
+ */
+function measureGrid(elements) {
+  if (typeof elements === 'number' || elements.length === 0) {
+    throw new Error('An \'auto\' grid needs the elements.');
+  }
+  const top = elements[0].getBoundingClientRect().top;
+  let columns = 1;
+  while (columns < elements.length && Math.abs(elements[columns].getBoundingClientRect().top - top) < 1) {
+    columns++;
+  }
+  return [Math.ceil(elements.length / columns), columns];
+}
+
+export class Timeline {
+
+  /**
+   * Creates an instance of Timeline. It plays from the next frame, so children added right away
+   * are part of it.
+   * @param {Object} [options] - Timeline options.
+   * @param {boolean} [options.paused=false] - Don't play until play() is called.
+   */
+  constructor({ paused = false } = {}) {
+    this.children = [];
+    this.labels = new Map();
+    this.duration = 0;
+    this.time = 0;
+    this.direction = 1;
+    this.playbackRate = 1;
+    this.isPlaying = false;
+    this.previous = null;
+
+    // The values last written to each element, shared by the children animating it
+    this.written = new WeakMap();
+
+    this.frameId = null;
+    this.prevTime = null;
+    this.resolvePending = null;
+    this.tick = this.tick.bind(this);
+
+    if (!paused) this.play();
+  }
+
+  /**
+   * Adds keyframe animations of elements, or a nested timeline.
+   * `add(targets, keyframes, options, position)` animates one element or a list of them (which can be
+   * staggered); `add(timeline, position)` nests a timeline, which then only plays as part of this one.
+   * @param {Element|Element[]|NodeList|Timeline} targets - The elements, or a timeline.
+   * @param {Object[]|Object} [keyframes] - The keyframes, see animate().
+   * @param {Object} [options] - Animation options: a duration (in milliseconds) and an easing, or a
+   *   spring (see animate()), plus stagger (see staggerDelays()) and TweenCalculator options.
+   * @param {number|string} [position] - When the animation starts: a time in milliseconds, '+=100' or
+   *   '-=100' after the end of the timeline, '<' or '>' for the start or end of the previous add()
+   *   (optionally followed by '+=100' or '-=100'), or a label (with an optional offset).
+   *   Defaults to the end of the timeline.
+   * @returns {Timeline} The timeline, for chaining.
+   */
+  add(targets, keyframes, options = {}, position) {
+    if (targets instanceof Timeline) {
+      return this.addTimeline(targets, keyframes);
+    }
+
+    const {
+      duration, easing = 'linear', spring = null, velocity = 0, stagger = 0, ...tweenOptions
+    } = options;
+    if (spring && duration !== undefined) {
+      throw new Error('An animation takes either a spring or a duration, not both.');
+    }
+    if (duration !== undefined && (typeof duration !== 'number' || duration < 0)) {
+      throw new Error('Duration must be a number of at least 0.');
+    }
+
+    const elements = typeof Element !== 'undefined' && targets instanceof Element ? [targets] : Array.from(targets);
+    const delays = staggerDelays(elements, stagger);
+    const start = this.resolvePosition(position);
+
+    // Every element moves along the same curve, so it is computed once
+    const timing = duration !== undefined
+      ? createTimedCurve(duration, parseEasing(easing))
+      : createSpringCurve(spring || {}, velocity);
+
+    elements.forEach((element, i) => {
+      if (!this.written.has(element)) this.written.set(element, new Map());
+      const render = createStyleRenderer(element, keyframes, tweenOptions, this.written.get(element));
+      this.addChild({
+        start: start + delays[i],
+        duration: timing.duration,
+        render: (local) => render(timing.positionAt(local))
+      });
+    });
+
+    const end = Math.max(start, ...elements.map((_, i) => start + delays[i] + timing.duration));
+    this.previous = { start, end };
+    return this;
+  }
+
+  /**
+   * Nests a timeline. Its duration is read now, so add its children first. It stops playing on its
+   * own, so a pending play() or reverse() of it resolves with status 'interrupted'.
+   * @param {Timeline} timeline - The timeline.
+   * @param {number|string} [position] - When it starts, see add().
+   * @returns {Timeline} The timeline, for chaining.
+   */
+  addTimeline(timeline, position) {
+    if (timeline === this) {
+      throw new Error('A timeline can\'t contain itself.');
+    }
+    timeline.pause();
+    timeline.settle('interrupted');
+
+    const start = this.resolvePosition(position);
+    this.addChild({ start, duration: timeline.duration, render: (local) => timeline.render(local) });
+    this.previous = { start, end: start + timeline.duration };
+    return this;
+  }
+
+  /**
+   * Adds a label, which positions and seek() can refer to.
+   * @param {string} name - The label.
+   * @param {number|string} [position] - Its time, see add(). Defaults to the end of the timeline.
+   * @returns {Timeline} The timeline, for chaining.
+   */
+  addLabel(name, position) {
+    this.labels.set(name, this.resolvePosition(position));
+    return this;
+  }
+
+  /**
+   * Resolves a position to a time.
+   * @param {number|string} [position] - The position, see add().
+   * @returns {number} The time, in milliseconds.
+   * @throws {Error} If the position is invalid or refers to an unknown label.
+   */
+  resolvePosition(position) {
+    if (position === undefined) return this.duration;
+    if (typeof position === 'number') {
+      if (position < 0) throw new Error('Positions must be at least 0.');
+      return position;
+    }
+    if (typeof position !== 'string') {
+      throw new Error('Positions must be numbers or strings.');
+    }
+
+    const [, reference, sign, amount] = position.trim().match(POSITION_REGEX);
+    const offset = sign ? (sign === '-' ? -1 : 1) * Number(amount) : 0;
+
+    let time;
+    if (reference === '') {
+      time = this.duration;
+    } else if (reference === '<') {
+      time = this.previous ? this.previous.start : 0;
+    } else if (reference === '>') {
+      time = this.previous ? this.previous.end : 0;
+    } else if (this.labels.has(reference)) {
+      time = this.labels.get(reference);
+    } else {
+      throw new Error(`Unknown timeline label: ${reference}.`);
+    }
+    return Math.max(0, time + offset);
+  }
+
+  /**
+   * Adds a child, keeping the children in start order.
+   * @param {{start: number, duration: number, render: function(number)}} child - The child.
+   */
+  addChild(child) {
+    this.children.push({ ...child, touched: false, lastLocal: null });
+    this.children.sort((a, b) => a.start - b.start);
+    this.duration = Math.max(this.duration, child.start + child.duration);
+  }
+
+  /**
+   * Renders the timeline at a time. Children that have started render at their own time (held at
+   * their end once over); children that haven't, but rendered before, return to their start.
+   * @param {number} time - The time, in milliseconds.
+   */
+  render(time) {
+    this.time = Math.min(Math.max(time, 0), this.duration);
+
+    const pending = [];
+    const started = [];
+    for (const child of this.children) {
+      const local = this.time - child.start;
+      if (local >= 0) started.push(child);
+      else if (child.touched) pending.push(child);
+    }
+
+    // Later children render last, so they win on shared properties
+    const renderChild = (child, local) => {
+      child.touched = true;
+      if (child.lastLocal === local) return;
+      child.lastLocal = local;
+      child.render(local);
+    };
+    pending.reverse().forEach(child => renderChild(child, 0));
+    started.forEach(child => renderChild(child, Math.min(this.time - child.start, child.duration)));
+  }
+
+  /**
+   * Plays the timeline forwards, from the start if it is at the end.
+   * @returns {Promise<{status: string, time: number}>} Resolves with status 'completed' at the end, or
+   *   'interrupted' when play() or reverse() is called again first.
+   */
+  play() {
+    if (this.time >= this.duration && this.children.length > 0) this.time = 0;
+    this.direction = 1;
+    return this.start();
+  }
+
+  /**
+   * Plays the timeline backwards, from the end if it is at the start.
+   * @returns {Promise<{status: string, time: number}>} Resolves with status 'completed' at the start,
+   *   see play().
+   */
+  reverse() {
+    if (this.time <= 0) this.time = this.duration;
+    this.direction = -1;
+    return this.start();
+  }
+
+  /**
+   * Starts the playhead in the current direction.
+   * @returns {Promise<{status: string, time: number}>} Resolves when the playhead reaches the end.
+   */
+  start() {
+    this.settle('interrupted');
+    return new Promise((resolve) => {
+      this.resolvePending = resolve;
+      this.isPlaying = true;
+      this.prevTime = null;
+      if (this.frameId === null) this.frameId = ticker.request(this.tick);
+    });
+  }
+
+  /**
+   * Pauses the playhead. The pending play() or reverse() promise stays pending.
+   */
+  pause() {
+    this.isPlaying = false;
+    if (this.frameId !== null) {
+      ticker.cancel(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Resumes a paused playhead in its direction.
+   */
+  resume() {
+    if (this.isPlaying || !this.resolvePending) return;
+    this.isPlaying = true;
+    this.prevTime = null;
+    this.frameId = ticker.request(this.tick);
+  }
+
+  /**
+   * Moves the playhead and renders the timeline there.
+   * @param {number|string} position - A time in milliseconds, or a label (with an optional offset).
+   */
+  seek(position) {
+    this.render(this.resolvePosition(position));
+    this.prevTime = null;
+  }
+
+  /**
+   * Gets the position of the playhead.
+   * @returns {number} The progress, 0 to 1.
+   */
+  getProgress() {
+    return this.duration === 0 ? 0 : this.time / this.duration;
+  }
+
+  /**
+   * Moves the playhead to a progress.
+   * @param {number} progress - The progress, 0 to 1.
+   */
+  setProgress(progress) {
+    if (typeof progress !== 'number' || progress < 0 || progress > 1) {
+      throw new Error('Progress must be a number between 0 and 1.');
+    }
+    this.seek(progress * this.duration);
+  }
+
+  /**
+   * Sets how fast the timeline plays. The global rate, PhysicsAnimator.setGlobalPlaybackRate(), applies on top.
+   * @param {number} rate - The playback rate, at least 0.
+   */
+  setPlaybackRate(rate) {
+    if (typeof rate !== 'number' || rate < 0 || !Number.isFinite(rate)) {
+      throw new Error('Playback rate must be a finite number of at least 0.');
+    }
+    this.playbackRate = rate;
+  }
+
+  /**
+   * Advances the playhead by one frame.
+   * @param {number} time - The frame timestamp, in milliseconds.
+   */
+  tick(time) {
+    this.frameId = null;
+    if (!this.isPlaying) return;
+
+    const elapsed = this.prevTime === null ? 0 : (time - this.prevTime) * this.playbackRate * PhysicsAnimator.globalPlaybackRate;
+    this.prevTime = time;
+    this.render(this.time + elapsed * this.direction);
+
+    const done = this.direction > 0 ? this.time >= this.duration : this.time <= 0;
+    if (done) {
+      this.isPlaying = false;
+      this.settle('completed');
+    } else {
+      this.frameId = ticker.request(this.tick);
+    }
+  }
+
+  /**
+   * Resolves the pending play() or reverse() promise, if any.
+   * @param {string} status - The status to resolve with.
+   */
+  settle(status) {
+    const resolve = this.resolvePending;
+    this.resolvePending = null;
+    if (resolve) resolve({ status, time: this.time });
+  }
+}
+
+/**
+ * Create the curve of a timed animation.
+ * @param {number} duration - The duration, in milliseconds.
+ * @param {function(number): number} easing - The easing.
+ * @returns {{duration: number, positionAt: function(number): number}} The duration and the keyframe
+ *   position at a time.
+ */
+function createTimedCurve(duration, easing) {
+  return {
+    duration,
+    positionAt: (time) => easing(duration === 0 ? 1 : Math.min(time / duration, 1))
+  };
+}
+
+/**
+ * Create the curve of a spring animation from its simulated trajectory.
+ * @param {Object} spring - Spring options, see animate().
+ * @param {number} velocity - The initial velocity, in keyframe positions per second.
+ * @returns {{duration: number, positionAt: function(number): number}} The settling time and the
+ *   keyframe position at a time.
+ */
+function createSpringCurve(spring, velocity) {
+  const samples = PhysicsAnimator.simulate({ from: 0, to: 1, velocity, spring: positionSpring(spring) });
+  const last = samples[samples.length - 1];
+  const step = samples.length > 1 ? samples[1].time : 1;
+
+  return {
+    duration: last.time,
+    positionAt: (time) => {
+      if (time >= last.time) return last.position;
+      const index = Math.min(Math.floor(time / step), samples.length - 2);
+      const a = samples[index];
+      const b = samples[index + 1];
+      return a.position + (b.position - a.position) * ((time - a.time) / (b.time - a.time));
+    }
+  };
+}
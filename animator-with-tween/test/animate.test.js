@@ -0,0 +1,30 @@
+/**
+ * Tests of the styles animate() writes. Elements are plain objects with a style.
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStyleRenderer } from '../src/animate.js';
+
+// Nothing is computed beyond the inline style
+globalThis.window = { getComputedStyle: () => ({}) };
+
+test('transform shorthands write the individual transform properties', () => {
+  const element = { style: {} };
+  const render = createStyleRenderer(element, { x: [0, 100], rotate: [0, 90], scale: [1, 2], skewX: [0, 10] });
+  render(0.5);
+
+  assert.deepEqual(element.style, { translate: '50px 0px', rotate: '45deg', scale: '1.5', transform: 'skewX(5deg)' });
+});
+
+test('rotate and scale animate the CSS properties, from their current value', () => {
+  const element = { style: { rotate: '10deg' } };
+  const render = createStyleRenderer(element, { rotate: '90deg', scale: ['1 1', '2 3'] });
+  render(0.5);
+
+  assert.equal(element.style.rotate, '50deg');
+  assert.equal(element.style.scale, '1.5 2');
+  assert.equal(element.style.transform, undefined);
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests of Timeline playback with nested timelines. Elements are plain objects
+ * with a style, and the ticker falls back to timeouts outside the browser.
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timeline } from '../src/timeline.js';
+
+// Nothing is set inline or computed before the keyframes run
+globalThis.window = { getComputedStyle: () => ({}) };
+
+/**
+ * Create a stand-in for an element.
+ * @returns {{style: Object}} The element.
+ */
+function createElement() {
+  return { style: {} };
+}
+
+test('a nested timeline settles its pending play() when it is nested', async () => {
+  const element = createElement();
+  const child = new Timeline({ paused: true }).add([element], { opacity: [0, 1] }, { duration: 100 });
+  const childPlayback = child.play();
+
+  const parent = new Timeline().add(child);
+  parent.pause();
+  parent.seek(50);
+
+  assert.deepEqual(await childPlayback, { status: 'interrupted', time: 0 });
+  assert.equal(element.style.opacity, '0.5');
+});
+
+test('a paused timeline drives its nested timelines to the end once it plays again', async () => {
+  const element = createElement();
+  const child = new Timeline().add([element], { opacity: [0, 1] }, { duration: 100 });
+
+  const parent = new Timeline().add(child, 50);
+  parent.pause();
+  parent.seek(100);
+  assert.equal(element.style.opacity, '0.5');
+
+  const result = await parent.play();
+  assert.equal(result.status, 'completed');
+  assert.equal(result.time, 150);
+  assert.equal(element.style.opacity, '1');
+  assert.equal(child.getProgress(), 1);
+});
+
+test('spring durations are in milliseconds, like timed durations', () => {
+  const timed = new Timeline({ paused: true }).add([createElement()], { opacity: [0, 1] }, { duration: 500 });
+  const spring = new Timeline({ paused: true }).add([createElement()], { opacity: [0, 1] }, { spring: { duration: 500 } });
+
+  assert.equal(timed.duration, 500);
+  // The spring's duration is perceptual; it comes to rest a while after
+  assert.ok(spring.duration > 500 && spring.duration < 1500, `settled after ${spring.duration}ms`);
+});
@@ -0,0 +1,78 @@
+/**
+ * Min/max bounds used by PhysicsAnimator, and the rubber-band resistance
+ * applied to values dragged beyond them.
+ */
+
+/**
+ * The supported overscroll behaviors.
+ * @type {string[]}
+ */
+export const OVERSCROLL_MODES = ['clamp', 'bounce', 'rubberband'];
+
+/**
+ * Validate bounds options.
+ * @param {Object} options - The bounds options.
+ * @param {number|number[]|Object} [options.min] - The lower bound. A number is used for every component;
+ *   missing components are unbounded.
+ * @param {number|number[]|Object} [options.max] - The upper bound, like min.
+ * @param {string} [options.overscroll='clamp'] - 'clamp' to stop at the bound, 'bounce' to bounce off it,
+ *   or 'rubberband' to overshoot it and spring back.
+ * @param {number} [options.restitution=0.5] - With 'bounce', the share of velocity kept by a bounce (0 to 1).
+ * @param {number} [options.resistance=0.55] - With 'rubberband', how much a drag beyond a bound is
+ *   followed: lower values resist more.
+ * @param {number|number[]|Object} [options.dimension] - With 'rubberband', the distance a drag can
+ *   at most stretch past a bound. Defaults to the distance between min and max, or 1000.
+ * @returns {Object} The validated bounds.
+ * @throws {Error} If an option is out of range.
+ */
+export function resolveBounds({
+	min,
+	max,
+	overscroll = 'clamp',
+	restitution = 0.5,
+	resistance = 0.55,
+	dimension
+} = {}) {
+
+	if (!OVERSCROLL_MODES.includes(overscroll)) {
+		throw new Error(`Overscroll must be one of: ${OVERSCROLL_MODES.join(', ')}.`);
+	}
+	if (typeof restitution !== 'number' || restitution < 0 || restitution > 1) {
+		throw new Error('Restitution must be a number between 0 and 1.');
+	}
+	if (typeof resistance !== 'number' || resistance <= 0) {
+		throw new Error('Resistance must be a number greater than 0.');
+	}
+	if (typeof min === 'number' && typeof max === 'number' && min > max) {
+		throw new Error('The min bound must not be greater than the max bound.');
+	}
+
+	return { min, max, overscroll, restitution, resistance, dimension };
+}
+
+/**
+ * Read the components of a bound in the order of a shape.
+ * A number is used for every component and missing components are `fallback`.
+ * @param {number|number[]|Object|undefined} bound - The bound.
+ * @param {Object} shape - The shape, see describeShape().
+ * @param {number} fallback - The value of missing components.
+ * @returns {number[]} The components.
+ */
+export function toBoundComponents(bound, shape, fallback) {
+	if (typeof bound === 'number') return shape.keys.map(() => bound);
+	if (bound === undefined || bound === null) return shape.keys.map(() => fallback);
+	return shape.keys.map(key => (typeof bound[key] === 'number' ? bound[key] : fallback));
+}
+
+/**
+ * Resist a distance beyond a bound, like iOS scroll views: the further the drag,
+ * the less it is followed, never stretching past the dimension.
+ * @param {number} distance - The distance beyond the bound.
+ * @param {number} dimension - The largest stretch.
+ * @param {number} resistance - How much the drag is followed.
+ * @returns {number} The resisted distance, with the sign of distance.
+ */
+export function rubberBand(distance, dimension, resistance) {
+	const stretch = (1 - 1 / ((Math.abs(distance) * resistance) / dimension + 1)) * dimension;
+	return Math.sign(distance) * stretch;
+}
@@ -0,0 +1,72 @@
+/**
+ * Exponential decay (inertia) used by PhysicsAnimator's decay mode, and the
+ * choice of the snap point a flick settles on. Time is in seconds and
+ * velocity in units per second.
+ */
+
+/**
+ * The frame duration, in milliseconds, that per-frame friction and velocity refer to.
+ * @type {number}
+ */
+export const FRAME_DURATION = 16.66;
+
+/**
+ * Resolve decay options to a decay rate.
+ * @param {Object} options - The decay options.
+ * @param {number} [options.friction] - The share of velocity lost every 16.66ms frame (0 < friction < 1).
+ * @param {number} [options.timeConstant] - The time, in seconds, for the velocity to drop to about 37%.
+ *   Replaces friction when set.
+ * @returns {number} The decay rate, per second.
+ * @throws {Error} If the options are out of range.
+ */
+export function resolveDecayRate({ friction, timeConstant }) {
+	if (timeConstant !== undefined) {
+		if (typeof timeConstant !== 'number' || timeConstant <= 0) {
+			throw new Error('Decay time constant must be a number greater than 0.');
+		}
+		return 1 / timeConstant;
+	}
+
+	if (typeof friction !== 'number' || friction <= 0 || friction >= 1) {
+		throw new Error('Decay friction must be a number greater than 0 and less than 1.');
+	}
+	return -Math.log(1 - friction) * 1000 / FRAME_DURATION;
+}
+
+/**
+ * Solve the decay exactly.
+ * @param {number} rate - The decay rate, per second.
+ * @param {number} velocity - The initial velocity, in units per second.
+ * @param {number} t - The time since the initial state, in seconds.
+ * @returns {{distance: number, velocity: number}} The distance travelled and the velocity at time t.
+ */
+export function solveDecay(rate, velocity, t) {
+	const remaining = Math.exp(-rate * t);
+	return { distance: (velocity / rate) * (1 - remaining), velocity: velocity * remaining };
+}
+
+/**
+ * Choose the snap point a decay settles on.
+ * @param {number[][]} points - The snap points, as component arrays.
+ * @param {number[]} start - Where the decay starts.
+ * @param {number[]} projected - Where the decay would come to rest.
+ * @param {number[]} velocity - The release velocity.
+ * @param {string} mode - 'nearest' for the point nearest the projected rest value, or 'velocity'
+ *   for the nearest one in the direction of the velocity, so any flick moves at least one point.
+ * @returns {number[]} The chosen snap point.
+ */
+export function chooseSnapPoint(points, start, projected, velocity, mode) {
+	const distance = (a, b) => Math.hypot(...a.map((value, i) => value - b[i]));
+	const nearest = (candidates) => candidates.reduce((best, point) =>
+		(distance(point, projected) < distance(best, projected) ? point : best)
+	);
+
+	if (mode === 'velocity') {
+		const ahead = points.filter(point =>
+			point.reduce((dot, value, i) => dot + (value - start[i]) * velocity[i], 0) > 0
+		);
+		if (ahead.length > 0) return nearest(ahead);
+	}
+
+	return nearest(points);
+}
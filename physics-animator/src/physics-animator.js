@@ -1,14 +1,38 @@
+import EventEmitter from '../../event-emitter/dp-event-emitter.mjs';
+import { resolveSpring, solveSpring, stepSpring } from './spring.js';
+import { describeShape, toComponents, fromComponents } from './values.js';
+import { FRAME_DURATION, resolveDecayRate, solveDecay, chooseSnapPoint } from './decay.js';
+import { resolveBounds, toBoundComponents, rubberBand } from './bounds.js';
+import { createManualScheduler } from './scheduler.js';
+import { ticker } from './ticker.js';
 
-// import EventEmitter from '../../event-emitter/dp-event-emitter';
+/**
+ * Emits, with on() and off() from DPEventEmitter:
+ * - 'start' when an animation starts, with `{ position, target, velocity }`;
+ * - 'update' on every frame, with `{ position, progress, velocity }`;
+ * - 'overshoot' when the value crosses its target, with `{ position, target, velocity }`;
+ * - 'settle' when an animation comes to rest, with `{ status, position, velocity }`;
+ * - 'stop' after stop() or cancel(), with `{ status, position, velocity }`;
+ * - 'interrupt' when another animation takes over, with `{ status, position, velocity }`.
+ */
+export default class PhysicsAnimator extends EventEmitter {
 
-export default class PhysicsAnimator {
+	/** @type {number} Scales the time of every animator, e.g. below 1 for slow motion. See setGlobalPlaybackRate(). */
+	static globalPlaybackRate = 1;
 
 	/**
 	 * Creates an instance of PhysicsAnimator.
 	 * @param {number} [attraction=0.026] - The attraction value for physics-based animation (0 < attraction < 1).
 	 * @param {number} [friction=0.28] - The friction value for physics-based animation (0 < friction < 1).
+	 * @param {Object} [spring] - Spring options ({ stiffness, damping, mass } or { duration, bounce }).
+	 *   When set, the animator runs a frame-rate independent spring instead of attraction and friction.
+	 *   See setSpring().
+	 * @param {Object} [bounds] - Min/max bounds and how the value behaves beyond them. See setBounds().
+	 * @param {Object} [scheduler] - Schedules the frames. Defaults to the shared ticker, which runs every
+	 *   animator in one frame loop (see ticker.js). See setScheduler().
 	 */
-	constructor({ attraction = 0.026, friction = 0.28 } = {}) {
+	constructor({ attraction = 0.026, friction = 0.28, spring = null, bounds = null, scheduler = ticker } = {}) {
+		super();
 
 		// Validate attraction
 		if (typeof attraction !== 'number' || attraction < 0 || attraction > 1) {
@@ -27,85 +51,810 @@ export default class PhysicsAnimator {
 		this.currentValue = 0;
 		this.targetValue = 0;
 
+		// The physics runs on flat component arrays; the values above mirror them in the caller's shape
+		this.shape = describeShape(0);
+		this.startComponents = [0];
+		this.currentComponents = [0];
+		this.targetComponents = [0];
+		this.velocityComponents = [0];
+
 		this.isAnimating = false;
+		this.isPaused = false;
 		this.prevTime = null;
+		this.playbackRate = 1;
+
+		// The state the animation started (or was retargeted) from, which seek() replays from
+		this.seekOrigin = null;
+		this.elapsed = 0;
+
+		// A single frame loop serves every animation; retargeting only changes its state
+		this.frameId = null;
+		this.callback = null;
+		this.resolvePending = null;
+		this.rejectPending = null;
+		this.releaseSignal = null;
+		this.decayState = null;
+		this.projectedValue = null;
+		this.overshootSigns = [];
+		this.tick = this.tick.bind(this);
+
+		this.setSpring(spring);
+		this.setBounds(bounds);
+		this.setScheduler(scheduler);
+	}
+
+	/**
+	 * Runs an animation to rest on a manual scheduler and samples it, without touching the page.
+	 * The motion is the same as a real run stepped at the same timestep, so trajectories can be
+	 * compared in snapshot tests.
+	 * @param {Object} [options] - The animation and the animator options (attraction, friction, spring, bounds).
+	 * @param {number|number[]|Object} [options.from=0] - The starting value.
+	 * @param {number|number[]|Object} [options.to=0] - The target value.
+	 * @param {number|number[]|Object} [options.velocity=0] - The initial velocity, see animateTo().
+	 * @param {Object} [options.decay] - Decay options: when set, the animation is a decay() from `from`
+	 *   and `to` is ignored.
+	 * @param {number} [options.timestep=1000/60] - The time between samples, in milliseconds.
+	 * @param {number} [options.maxDuration=10000] - The time, in milliseconds, after which an animation
+	 *   that hasn't come to rest is cut off.
+	 * @returns {Array<{time: number, position: *, velocity: *, progress: *}>} The samples, from time 0
+	 *   to rest, with times in milliseconds.
+	 */
+	static simulate({ from = 0, to = 0, velocity = 0, decay = null, timestep = 1000 / 60, maxDuration = 10000, ...options } = {}) {
+		if (typeof timestep !== 'number' || timestep <= 0) {
+			throw new Error('Timestep must be a number greater than 0.');
+		}
+
+		const scheduler = createManualScheduler();
+		const animator = new PhysicsAnimator({ ...options, scheduler });
+		const trajectory = [];
+
+		// The final frame reports twice, before and after snapping onto the target
+		const record = ({ position, progress }) => {
+			const sample = { time: scheduler.time, position, velocity: animator.velocity, progress };
+			const last = trajectory[trajectory.length - 1];
+			if (last && last.time === sample.time) trajectory[trajectory.length - 1] = sample;
+			else trajectory.push(sample);
+		};
+
+		if (decay) animator.decay(from, velocity, record, decay);
+		else animator.animateTo(from, to, velocity, record);
+		record({ position: animator.currentValue, progress: animator.getProgress() });
+
+		// The first tick sets the start time
+		scheduler.tick(0);
+		while (animator.isAnimating && scheduler.time < maxDuration) {
+			scheduler.tick(timestep);
+		}
+		animator.stop();
+		return trajectory;
 	}
 
 	/**
 	 * Animates from a start value to an end value.
-	 * @param {number} startValue - The starting value.
-	 * @param {number} endValue - The target value.
-	 * @param {function} callback - A callback function that receives the current value and progress.
+	 * Values can be numbers, arrays of numbers or objects of numbers (e.g. `{ x, y, scale }`),
+	 * which are animated component by component and complete when every component is at rest.
+	 * Calling it while an animation runs interrupts that animation; use retarget() instead to
+	 * keep the current position and velocity.
+	 * @param {number|number[]|Object} startValue - The starting value. A number is used for every component.
+	 * @param {number|number[]|Object} endValue - The target value.
+	 * @param {number|number[]|Object} velocity - The initial velocity, in units per 16.66ms frame, or in
+	 *   units per second in spring mode. A number is used for every component.
+	 * @param {function} [callback] - A callback function that receives the current value (position) and
+	 *   progress, both in the shape of endValue. Listeners of the 'update' event receive them too.
+	 * @param {Object} [options] - Animation options.
+	 * @param {AbortSignal} [options.signal] - Cancels the animation when aborted, rejecting the promise
+	 *   with the signal's reason.
+	 * @returns {Promise<{status: string, position: *, velocity: *}>} Resolves when the animation ends, with
+	 *   status 'completed' at rest, 'interrupted' when another animateTo() or retarget() takes over,
+	 *   'stopped' after stop(), or 'cancelled' after cancel().
 	 */
-	animateTo(startValue, endValue, velocity, callback) {
+	animateTo(startValue, endValue, velocity, callback, { signal = null } = {}) {
+		if (signal && signal.aborted) return Promise.reject(signal.reason);
+		this.settle('interrupted');
+		this.decayState = null;
 
-		return new Promise((resolve) => {
+		this.shape = describeShape(endValue);
+		this.startComponents = toComponents(startValue, this.shape);
+		this.currentComponents = [...this.startComponents];
+		this.targetComponents = this.clampToBounds(toComponents(endValue, this.shape));
+		this.velocityComponents = toComponents(velocity, this.shape);
+		this.syncValues();
 
-			this.currentValue = startValue;
-			this.targetValue = endValue;
-			this.velocity = velocity;
-			this.isAnimating = true;
+		this.prevTime = null;
+		return this.run(callback, signal);
+	}
+
+	/**
+	 * Changes the target of the animation, keeping the current position and velocity so the
+	 * motion continues naturally. Progress is still measured from the original start value.
+	 * If no animation is running, a new one starts from the current value.
+	 * @param {number|number[]|Object} target - The new target value.
+	 * @param {function} [callback] - A new callback. Defaults to the previous animation's callback.
+	 * @returns {Promise<{status: string, position: *, velocity: *}>} Resolves when the animation ends,
+	 *   see animateTo(). The previous animation's promise resolves with status 'interrupted'.
+	 */
+	retarget(target, callback = this.callback) {
+		this.settle('interrupted');
+		this.decayState = null;
+
+		const shape = describeShape(target);
+		const sameShape = shape.type === this.shape.type && shape.keys.join() === this.shape.keys.join();
+		if (!sameShape) {
+			this.startComponents = toComponents(this.currentValue, shape);
+			this.currentComponents = [...this.startComponents];
+			this.velocityComponents = toComponents(this.velocity, shape);
+			this.shape = shape;
+		}
+		this.targetComponents = this.clampToBounds(toComponents(target, shape));
+
+		// A running loop keeps its frame time, so no frame is skipped; a new one starts from here
+		if (!this.isAnimating) {
+			this.startComponents = [...this.currentComponents];
 			this.prevTime = null;
+		}
+		this.syncValues();
+		return this.run(callback);
+	}
 
-			const animate = (time) => {
-				if (!this.isAnimating) return;
+	/**
+	 * Glides from a start value with a release velocity, decelerating with friction until rest,
+	 * like momentum scrolling. The resting value is known upfront: see projectedValue and projectDecay().
+	 * With snap points, the glide settles on one of them: once it reaches the snap point (or runs out
+	 * of momentum before it), the attraction model (or the spring, in spring mode) takes over and
+	 * settles on it.
+	 * @param {number|number[]|Object} startValue - The starting value.
+	 * @param {number|number[]|Object} velocity - The release velocity, in units per 16.66ms frame, or in
+	 *   units per second in spring mode. Its shape sets the shape of the animated value.
+	 * @param {function} [callback] - A callback function that receives the current value and progress.
+	 * @param {Object} [options] - Decay options.
+	 * @param {number} [options.friction] - The share of velocity lost every 16.66ms frame
+	 *   (0 < friction < 1). Defaults to the animator's friction.
+	 * @param {number} [options.timeConstant] - The time, in seconds, for the velocity to drop to about 37%.
+	 *   Replaces friction when set.
+	 * @param {Array} [options.snapPoints] - Values to settle on.
+	 * @param {string} [options.snap='nearest'] - 'nearest' to settle on the snap point nearest the
+	 *   projected rest value, or 'velocity' for the nearest one in the direction of the flick.
+	 *   With bounds, the projected rest value and the snap points are kept within them.
+	 * @param {AbortSignal} [options.signal] - Cancels the animation when aborted, see animateTo().
+	 * @returns {Promise<{status: string, position: *, velocity: *}>} Resolves when the animation ends,
+	 *   see animateTo().
+	 */
+	decay(startValue, velocity, callback, { friction = this.friction, timeConstant, snapPoints = null, snap = 'nearest', signal = null } = {}) {
+		if (snap !== 'nearest' && snap !== 'velocity') {
+			throw new Error('Snap must be \'nearest\' or \'velocity\'.');
+		}
+		if (signal && signal.aborted) return Promise.reject(signal.reason);
+		const rate = resolveDecayRate({ friction, timeConstant });
+		this.settle('interrupted');
+
+		this.shape = describeShape(typeof velocity === 'number' ? startValue : velocity);
+		this.startComponents = toComponents(startValue, this.shape);
+		this.currentComponents = [...this.startComponents];
+		this.velocityComponents = toComponents(velocity, this.shape);
 
-				if (this.prevTime === null) {
-					this.prevTime = time;
-					requestAnimationFrame(animate);
-					return;
-				}
+		// Decay runs in units per second, whichever model takes over afterwards
+		const perSecond = this.velocityComponents.map(v => this.toVelocityPerSecond(v));
+		const projected = this.clampToBounds(this.startComponents.map((value, i) => value + perSecond[i] / rate));
+		const snapTarget = snapPoints && snapPoints.length > 0
+			? this.clampToBounds(chooseSnapPoint(snapPoints.map(point => toComponents(point, this.shape)), this.startComponents, projected, perSecond, snap))
+			: null;
 
-				const timeDelta = time - this.prevTime;
-				const timeDeltaFactor = timeDelta / 16.66; // Assuming 60 FPS baseline
+		this.decayState = { rate, origin: [...this.startComponents], velocity: perSecond, elapsed: 0, snapTarget };
+		this.targetComponents = snapTarget || projected;
+		this.projectedValue = fromComponents(projected, this.shape);
+		this.syncValues();
 
-				this.prevTime = time;
+		// Released beyond a bound (e.g. after a rubber-band drag): spring straight back
+		if (this.isOutOfBounds()) this.decayState = null;
 
-				// Calculate attraction force
-				const force = (this.targetValue - this.currentValue) * this.attraction;
+		this.prevTime = null;
+		return this.run(callback, signal);
+	}
 
-				// Update velocity
-				this.velocity += (force * timeDeltaFactor);
+	/**
+	 * Computes where a decay would come to rest, without animating.
+	 * @param {number|number[]|Object} startValue - The starting value.
+	 * @param {number|number[]|Object} velocity - The release velocity, see decay().
+	 * @param {Object} [options] - The friction or timeConstant, see decay().
+	 * @returns {number|number[]|Object} The projected resting value.
+	 */
+	projectDecay(startValue, velocity, { friction = this.friction, timeConstant } = {}) {
+		const rate = resolveDecayRate({ friction, timeConstant });
+		const shape = describeShape(typeof velocity === 'number' ? startValue : velocity);
+		const start = toComponents(startValue, shape);
+		const velocities = toComponents(velocity, shape);
+		const projected = start.map((value, i) => value + this.toVelocityPerSecond(velocities[i]) / rate);
+		return fromComponents(this.clampToBounds(projected, shape), shape);
+	}
 
-				// Apply friction
-				this.velocity *= Math.pow(this.frictionFactor, timeDeltaFactor);
+	/**
+	 * Converts a velocity from the current model's units to units per second.
+	 * @param {number} velocity - The velocity, per 16.66ms frame (or per second in spring mode).
+	 * @returns {number} The velocity per second.
+	 */
+	toVelocityPerSecond(velocity) {
+		return this.spring ? velocity : velocity * 1000 / FRAME_DURATION;
+	}
 
-				// Update current value
-				this.currentValue += this.velocity * timeDeltaFactor;
+	/**
+	 * Converts a velocity in units per second to the current model's units.
+	 * @param {number} velocity - The velocity per second.
+	 * @returns {number} The velocity, per 16.66ms frame (or per second in spring mode).
+	 */
+	fromVelocityPerSecond(velocity) {
+		return this.spring ? velocity : velocity * FRAME_DURATION / 1000;
+	}
 
-				// Calculate progress
-				const totalDistance = this.targetValue - startValue;
-				const distanceCovered = this.currentValue - startValue;
-				let progress = 0;
-				if (totalDistance !== 0) {
-					progress = distanceCovered / totalDistance;
-				}
+	/**
+	 * Moves the value directly, e.g. to follow a pointer while dragging. Any running animation
+	 * stops and its promise resolves with status 'interrupted'. With 'rubberband' bounds, the part
+	 * of the value beyond a bound is resisted; decay() or retarget() from currentValue then springs
+	 * it back on release.
+	 * @param {number|number[]|Object} value - The dragged value.
+	 * @returns {number|number[]|Object} The value applied, after resistance.
+	 */
+	drag(value) {
+		this.halt();
+		this.settle('interrupted');
+		this.decayState = null;
 
-				// Call the callback with the current value and progress
-				// callback(this.currentValue, progress);
-				callback({ position: this.currentValue, progress: progress})
+		this.shape = describeShape(value);
+		this.startComponents = toComponents(value, this.shape);
+		this.currentComponents = [...this.startComponents];
+		this.targetComponents = [...this.startComponents];
+		this.velocityComponents = this.shape.keys.map(() => 0);
 
-				// Check if animation is complete
-				if (Math.abs(this.currentValue - this.targetValue) < 0.01) {
-					this.isAnimating = false;
-					callback({ position: this.targetValue, progress: 1}); // Ensure we call the callback with final value
-					resolve();
-					return;
-				}
+		if (this.bounds && this.bounds.overscroll === 'rubberband') {
+			const { min, max } = this.getBoundComponents();
+			const dimension = toBoundComponents(this.bounds.dimension, this.shape, NaN);
+			this.currentComponents = this.currentComponents.map((component, i) => {
+				const bound = component < min[i] ? min[i] : component > max[i] ? max[i] : null;
+				if (bound === null) return component;
+				const range = Number.isFinite(max[i] - min[i]) && max[i] > min[i] ? max[i] - min[i] : 1000;
+				const size = Number.isNaN(dimension[i]) ? range : dimension[i];
+				return bound + rubberBand(component - bound, size, this.bounds.resistance);
+			});
+		}
+		this.syncValues();
+		return this.currentValue;
+	}
 
-				requestAnimationFrame(animate);
-			};
+	/**
+	 * Alias of retarget().
+	 * @param {number|number[]|Object} target - The new target value.
+	 * @param {function} [callback] - A new callback.
+	 * @returns {Promise<{status: string, position: *, velocity: *}>} See retarget().
+	 */
+	setTarget(target, callback) {
+		return this.retarget(target, callback);
+	}
 
-			requestAnimationFrame(animate);
+	/**
+	 * Starts (or continues) the frame loop towards the current target. A paused animator resumes.
+	 * @param {function|null} callback - Receives the current value and progress.
+	 * @param {AbortSignal} [signal] - Cancels the animation when aborted.
+	 * @returns {Promise<{status: string, position: *, velocity: *}>} Resolves when the animation ends.
+	 */
+	run(callback, signal = null) {
+		const promise = new Promise((resolve, reject) => {
+			this.callback = callback;
+			this.resolvePending = resolve;
+			this.rejectPending = reject;
+			this.isAnimating = true;
+			this.isPaused = false;
+			this.resetSpringState();
+			this.seekOrigin = this.captureState();
+			this.elapsed = 0;
+			this.overshootSigns = this.getOvershootSigns();
 
+			if (this.frameId === null) {
+				this.frameId = this.scheduler.request(this.tick);
+			}
 		});
+
+		this.emit('start', { position: this.currentValue, target: this.targetValue, velocity: this.velocity });
+
+		if (signal) {
+			const onAbort = () => this.cancel({ reject: true, reason: signal.reason });
+			signal.addEventListener('abort', onAbort, { once: true });
+			this.releaseSignal = () => signal.removeEventListener('abort', onAbort);
+		}
+		return promise;
+	}
+
+	/**
+	 * Advances the animation by one frame.
+	 * @param {number} time - The frame timestamp, in milliseconds.
+	 */
+	tick(time) {
+		this.frameId = null;
+		if (!this.isAnimating || this.isPaused) return;
+
+		if (this.prevTime === null) {
+			this.prevTime = time;
+			this.frameId = this.scheduler.request(this.tick);
+			return;
+		}
+
+		const timeDelta = (time - this.prevTime) * this.getEffectivePlaybackRate();
+
+		this.prevTime = time;
+
+		this.step(timeDelta);
+		this.syncValues();
+
+		// Call the callback with the current value and progress
+		this.report(this.currentValue, this.getProgress());
+		this.detectOvershoot();
+
+		// The callback may have started, retargeted, paused or stopped the animation
+		if (this.frameId !== null || !this.isAnimating || this.isPaused) return;
+
+		// Check if animation is complete
+		if (this.isAtRest()) {
+			this.complete();
+			return;
+		}
+
+		this.frameId = this.scheduler.request(this.tick);
+	}
+
+	/**
+	 * Advances the physics, and the bounds, by some animation time.
+	 * @param {number} timeDelta - The animation time, in milliseconds.
+	 */
+	step(timeDelta) {
+		this.elapsed += timeDelta;
+		if (this.decayState) {
+			this.advanceDecay(timeDelta / 1000);
+		} else if (this.spring) {
+			this.advanceSpring(timeDelta / 1000);
+		} else {
+			this.advanceAttraction(timeDelta / FRAME_DURATION); // Assuming 60 FPS baseline
+		}
+		this.applyBounds();
+	}
+
+	/**
+	 * Snaps onto the target, reports the final value and resolves the promise with status 'completed'.
+	 */
+	complete() {
+		this.isAnimating = false;
+		this.currentComponents = [...this.targetComponents];
+		this.velocityComponents = this.velocityComponents.map(() => 0);
+		this.syncValues();
+
+		// Take the pending promise first, so a callback that chains a new animation keeps its own
+		const { resolve } = this.takePending();
+
+		// Ensure we call the callback with final value
+		this.report(this.targetValue, fromComponents(this.shape.keys.map(() => 1), this.shape));
+		const result = { status: 'completed', position: this.targetValue, velocity: this.velocity };
+		this.emit('settle', result);
+		if (resolve) resolve(result);
+	}
+
+	/**
+	 * Delivers a frame to the callback and the 'update' listeners.
+	 * @param {*} position - The current value.
+	 * @param {*} progress - The progress.
+	 */
+	report(position, progress) {
+		if (this.callback) this.callback({ position, progress });
+		this.emit('update', { position, progress, velocity: this.velocity });
+	}
+
+	/**
+	 * Gets which side of the target each component is on.
+	 * @returns {number[]} -1, 0 or 1 for each component.
+	 */
+	getOvershootSigns() {
+		return this.currentComponents.map((value, i) => Math.sign(value - this.targetComponents[i]));
+	}
+
+	/**
+	 * Emits 'overshoot' when a component has crossed its target since the last frame.
+	 */
+	detectOvershoot() {
+		const signs = this.getOvershootSigns();
+		const crossed = signs.some((sign, i) => sign !== 0 && this.overshootSigns[i] && sign !== this.overshootSigns[i]);
+
+		// A component exactly on its target keeps the side it came from
+		this.overshootSigns = signs.map((sign, i) => sign || this.overshootSigns[i] || 0);
+		if (crossed) this.emit('overshoot', { position: this.currentValue, target: this.targetValue, velocity: this.velocity });
+	}
+
+	/**
+	 * Takes the pending promise's functions and stops listening to its abort signal.
+	 * @returns {{resolve: function|null, reject: function|null}} The functions, null without a pending promise.
+	 */
+	takePending() {
+		const pending = { resolve: this.resolvePending, reject: this.rejectPending };
+		this.resolvePending = null;
+		this.rejectPending = null;
+		if (this.releaseSignal) {
+			this.releaseSignal();
+			this.releaseSignal = null;
+		}
+		return pending;
+	}
+
+	/**
+	 * Resolves the pending animation promise, if any.
+	 * @param {string} status - The status to resolve with.
+	 */
+	settle(status) {
+		const { resolve } = this.takePending();
+		if (!resolve) return;
+
+		const result = { status, position: this.currentValue, velocity: this.velocity };
+		this.emit(status === 'interrupted' ? 'interrupt' : 'stop', result);
+		resolve(result);
+	}
+
+	/**
+	 * Captures the state seek() replays from.
+	 * @returns {Object} The state.
+	 */
+	captureState() {
+		const decay = this.decayState;
+		return {
+			current: [...this.currentComponents],
+			velocity: [...this.velocityComponents],
+			target: [...this.targetComponents],
+			decay: decay && { ...decay, origin: [...decay.origin], velocity: [...decay.velocity] }
+		};
+	}
+
+	/**
+	 * Restores a state from captureState().
+	 * @param {Object} state - The state.
+	 */
+	restoreState(state) {
+		this.currentComponents = [...state.current];
+		this.velocityComponents = [...state.velocity];
+		this.targetComponents = [...state.target];
+		this.decayState = state.decay && { ...state.decay, origin: [...state.decay.origin], velocity: [...state.decay.velocity] };
+		this.resetSpringState();
 	}
 
 	/**
-	 * Stops the ongoing animation.
+	 * Advances the decay, handing off to the attraction model (or the spring) once a snap point
+	 * is reached or the momentum runs out before it.
+	 * @param {number} dt - The elapsed time, in seconds.
+	 */
+	advanceDecay(dt) {
+		const decay = this.decayState;
+		decay.elapsed += dt;
+
+		let remaining = 0;
+		for (let i = 0; i < this.currentComponents.length; i++) {
+			const state = solveDecay(decay.rate, decay.velocity[i], decay.elapsed);
+			this.currentComponents[i] = decay.origin[i] + state.distance;
+			this.velocityComponents[i] = this.fromVelocityPerSecond(state.velocity);
+			remaining = Math.max(remaining, Math.abs(state.velocity / decay.rate));
+		}
+
+		if (!decay.snapTarget) return;
+
+		// Hand off once the motion no longer approaches the snap point, or is about to stop short of it
+		const approach = this.currentComponents.reduce((dot, value, i) =>
+			dot + (decay.snapTarget[i] - value) * this.velocityComponents[i], 0);
+		const restDelta = this.spring ? this.spring.restDelta : 0.01;
+		if (approach <= 0 || remaining < restDelta) {
+			this.decayState = null;
+			this.resetSpringState();
+		}
+	}
+
+	/**
+	 * Applies the overscroll behavior to components that went beyond the bounds: 'clamp' stops them
+	 * at the bound, 'bounce' reflects them with restitution, and 'rubberband' lets them overshoot
+	 * while the model pulls them back to the bound. A decay continues from the new state,
+	 * or, with 'rubberband', hands off to the model.
+	 */
+	applyBounds() {
+		if (!this.bounds) return;
+
+		const { min, max } = this.getBoundComponents();
+		const { overscroll, restitution } = this.bounds;
+		const current = this.currentComponents;
+		const velocity = this.velocityComponents;
+		let changed = false;
+
+		for (let i = 0; i < current.length; i++) {
+			const bound = current[i] < min[i] ? min[i] : current[i] > max[i] ? max[i] : null;
+			if (bound === null) continue;
+
+			// Only motion away from the wall is stopped or reflected
+			const outward = (current[i] - bound) * velocity[i] > 0;
+			if (overscroll === 'clamp') {
+				current[i] = bound;
+				if (outward) velocity[i] = 0;
+			} else if (overscroll === 'bounce') {
+				current[i] = bound - (current[i] - bound) * restitution;
+				if (outward) velocity[i] = -velocity[i] * restitution;
+			}
+			changed = true;
+		}
+
+		if (!changed) return;
+
+		const decay = this.decayState;
+		if (decay && overscroll === 'rubberband') {
+			this.decayState = null;
+		} else if (decay) {
+			decay.origin = [...current];
+			decay.velocity = velocity.map(v => this.toVelocityPerSecond(v));
+			decay.elapsed = 0;
+			if (!decay.snapTarget) {
+				this.targetComponents = this.clampToBounds(current.map((value, i) => value + decay.velocity[i] / decay.rate));
+			}
+		}
+		// A rubber band only changes the state when a decay hands off
+		if (overscroll !== 'rubberband' || decay) this.resetSpringState();
+	}
+
+	/**
+	 * Gets the bounds of every component in the current shape.
+	 * @returns {{min: number[], max: number[]}} The bounds, with -Infinity and Infinity for unbounded components.
+	 */
+	getBoundComponents() {
+		return {
+			min: toBoundComponents(this.bounds && this.bounds.min, this.shape, -Infinity),
+			max: toBoundComponents(this.bounds && this.bounds.max, this.shape, Infinity)
+		};
+	}
+
+	/**
+	 * Keeps components within the bounds.
+	 * @param {number[]} components - The components.
+	 * @param {Object} [shape] - Their shape. Defaults to the current shape.
+	 * @returns {number[]} The clamped components.
+	 */
+	clampToBounds(components, shape = this.shape) {
+		if (!this.bounds) return components;
+		const min = toBoundComponents(this.bounds.min, shape, -Infinity);
+		const max = toBoundComponents(this.bounds.max, shape, Infinity);
+		return components.map((value, i) => Math.min(max[i], Math.max(min[i], value)));
+	}
+
+	/**
+	 * Checks whether any component is beyond the bounds.
+	 * @returns {boolean} True if the current value is out of bounds.
+	 */
+	isOutOfBounds() {
+		if (!this.bounds) return false;
+		const { min, max } = this.getBoundComponents();
+		return this.currentComponents.some((value, i) => value < min[i] || value > max[i]);
+	}
+
+	/**
+	 * Advances the attraction and friction model.
+	 * @param {number} timeDeltaFactor - The elapsed time, in 16.66ms frames.
+	 */
+	advanceAttraction(timeDeltaFactor) {
+		const current = this.currentComponents;
+		const velocity = this.velocityComponents;
+		const frictionFactor = Math.pow(this.frictionFactor, timeDeltaFactor);
+
+		for (let i = 0; i < current.length; i++) {
+			// Calculate attraction force
+			const force = (this.targetComponents[i] - current[i]) * this.attraction;
+
+			// Update velocity
+			velocity[i] += (force * timeDeltaFactor);
+
+			// Apply friction
+			velocity[i] *= frictionFactor;
+
+			// Update current value
+			current[i] += velocity[i] * timeDeltaFactor;
+		}
+	}
+
+	/**
+	 * Advances the spring model.
+	 * The analytic integration evaluates the exact solution from the state the spring started in;
+	 * the fixed integration runs as many fixed steps as fit in the elapsed time.
+	 * @param {number} dt - The elapsed time, in seconds.
+	 */
+	advanceSpring(dt) {
+		const { spring } = this;
+		const current = this.currentComponents;
+		const target = this.targetComponents;
+		const velocity = this.velocityComponents;
+
+		if (spring.integration === 'analytic') {
+			this.springElapsed += dt;
+			for (let i = 0; i < current.length; i++) {
+				const origin = this.springOrigin[i];
+				const state = solveSpring(spring, origin.displacement, origin.velocity, this.springElapsed);
+				current[i] = target[i] + state.displacement;
+				velocity[i] = state.velocity;
+			}
+			return;
+		}
+
+		this.springRemainder += dt;
+		while (this.springRemainder >= spring.timestep) {
+			for (let i = 0; i < current.length; i++) {
+				const state = stepSpring(spring, current[i] - target[i], velocity[i], spring.timestep);
+				current[i] = target[i] + state.displacement;
+				velocity[i] = state.velocity;
+			}
+			this.springRemainder -= spring.timestep;
+		}
+	}
+
+	/**
+	 * Makes the spring continue from the current value and velocity.
+	 */
+	resetSpringState() {
+		this.springOrigin = this.currentComponents.map((value, i) => ({
+			displacement: value - this.targetComponents[i],
+			velocity: this.velocityComponents[i]
+		}));
+		this.springElapsed = 0;
+		this.springRemainder = 0;
+	}
+
+	/**
+	 * Updates currentValue, targetValue and velocity from the components.
+	 */
+	syncValues() {
+		this.currentValue = fromComponents(this.currentComponents, this.shape);
+		this.targetValue = fromComponents(this.targetComponents, this.shape);
+		this.velocity = fromComponents(this.velocityComponents, this.shape);
+	}
+
+	/**
+	 * Gets how far each component has moved from its start towards its target.
+	 * @returns {number|number[]|Object} The progress, in the shape of the target value.
+	 */
+	getProgress() {
+		const progress = this.currentComponents.map((value, i) => {
+			const totalDistance = this.targetComponents[i] - this.startComponents[i];
+			return totalDistance === 0 ? 0 : (value - this.startComponents[i]) / totalDistance;
+		});
+		return fromComponents(progress, this.shape);
+	}
+
+	/**
+	 * Checks whether the animation has settled on its target.
+	 * @returns {boolean} True when every component is close enough to its target (and, for springs, slow enough).
+	 */
+	isAtRest() {
+		return this.currentComponents.every((value, i) => {
+			const distance = Math.abs(value - this.targetComponents[i]);
+			if (!this.spring) return distance < 0.01;
+			return distance < this.spring.restDelta && Math.abs(this.velocityComponents[i]) < this.spring.restSpeed;
+		});
+	}
+
+	/**
+	 * Stops the ongoing animation where it is. Its promise resolves with status 'stopped'.
 	 */
 	stop() {
+		this.halt();
+		this.settle('stopped');
+	}
+
+	/**
+	 * Cancels the ongoing animation where it is.
+	 * @param {Object} [options] - Cancel options.
+	 * @param {boolean} [options.reject=false] - Reject the animation's promise instead of resolving it
+	 *   with status 'cancelled'.
+	 * @param {*} [options.reason] - What the promise rejects with. Defaults to an Error.
+	 */
+	cancel({ reject = false, reason } = {}) {
+		this.halt();
+		const pending = this.takePending();
+		if (!pending.resolve) return;
+
+		const result = { status: 'cancelled', position: this.currentValue, velocity: this.velocity };
+		this.emit('stop', result);
+		if (reject) {
+			pending.reject(reason !== undefined ? reason : new Error('The animation was cancelled.'));
+		} else {
+			pending.resolve(result);
+		}
+	}
+
+	/**
+	 * Pauses the ongoing animation. Its promise stays pending until it resumes and ends.
+	 */
+	pause() {
+		if (!this.isAnimating || this.isPaused) return;
+		this.isPaused = true;
+		this.prevTime = null;
+		if (this.frameId !== null) {
+			this.scheduler.cancel(this.frameId);
+			this.frameId = null;
+		}
+	}
+
+	/**
+	 * Resumes a paused animation. The time spent paused doesn't count.
+	 */
+	resume() {
+		if (!this.isPaused) return;
+		this.isPaused = false;
+		this.prevTime = null;
+		if (this.isAnimating && this.frameId === null) {
+			this.frameId = this.scheduler.request(this.tick);
+		}
+	}
+
+	/**
+	 * Jumps to a time of the ongoing (or paused) animation, replaying it from its start, or from its
+	 * last retarget(), in 16.66ms steps. The callback receives the new value; a running animation
+	 * carries on from there and a paused one stays paused.
+	 * @param {number} time - The animation time, in milliseconds, at playback rate 1.
+	 * @throws {Error} If no animation is running or paused.
+	 */
+	seek(time) {
+		if (typeof time !== 'number' || time < 0) {
+			throw new Error('Seek time must be a number of at least 0.');
+		}
+		if (!this.isAnimating) {
+			throw new Error('seek() needs a running or paused animation.');
+		}
+
+		this.restoreState(this.seekOrigin);
+		this.elapsed = 0;
+		while (this.elapsed < time && !this.isAtRest()) {
+			this.step(Math.min(FRAME_DURATION, time - this.elapsed));
+		}
+		this.syncValues();
+
+		// The next frame continues from the new state
+		this.prevTime = null;
+		this.overshootSigns = this.getOvershootSigns();
+		this.report(this.currentValue, this.getProgress());
+	}
+
+	/**
+	 * Ends the frame loop, without settling the promise.
+	 */
+	halt() {
 		this.isAnimating = false;
+		this.isPaused = false;
+		if (this.frameId !== null) {
+			this.scheduler.cancel(this.frameId);
+			this.frameId = null;
+		}
+	}
+
+	/**
+	 * Sets how fast this animator's time runs, e.g. 0.1 for slow motion.
+	 * @param {number} rate - The playback rate, at least 0.
+	 */
+	setPlaybackRate(rate) {
+		if (typeof rate !== 'number' || rate < 0 || !Number.isFinite(rate)) {
+			throw new Error('Playback rate must be a finite number of at least 0.');
+		}
+		this.playbackRate = rate;
+	}
+
+	/**
+	 * Sets how fast the time of every animator runs, on top of their own playback rate:
+	 * below 1 for slow-motion debugging, or above 1 to shorten motion for users who prefer reduced motion.
+	 * @param {number} rate - The playback rate, at least 0.
+	 */
+	static setGlobalPlaybackRate(rate) {
+		if (typeof rate !== 'number' || rate < 0 || !Number.isFinite(rate)) {
+			throw new Error('Playback rate must be a finite number of at least 0.');
+		}
+		PhysicsAnimator.globalPlaybackRate = rate;
+	}
+
+	/**
+	 * Gets the rate this animator's time runs at.
+	 * @returns {number} The instance playback rate times the global one.
+	 */
+	getEffectivePlaybackRate() {
+		return this.playbackRate * PhysicsAnimator.globalPlaybackRate;
 	}
 
 	/**
@@ -130,5 +879,45 @@ export default class PhysicsAnimator {
 		this.friction = friction;
 		this.frictionFactor = 1 - friction;
 	}
-}
 
+	/**
+	 * Sets the spring used instead of attraction and friction.
+	 * @param {Object|null} spring - Spring options: { stiffness = 170, damping = 26, mass = 1 }, or
+	 *   { duration, bounce = 0 } with the duration in seconds, plus optional integration
+	 *   ('analytic' or 'fixed'), timestep, restDelta and restSpeed. Pass null to go back to
+	 *   attraction and friction.
+	 */
+	setSpring(spring) {
+		this.spring = spring ? resolveSpring(spring) : null;
+		if (this.isAnimating) this.resetSpringState();
+	}
+
+	/**
+	 * Sets the bounds the value is kept within. Targets, projected decays and snap points are clamped
+	 * to them, and motion beyond them follows the overscroll behavior.
+	 * @param {Object|null} bounds - Bounds options: { min, max, overscroll = 'clamp' }, where min and max
+	 *   are numbers or values in the animated shape and overscroll is 'clamp', 'bounce' (with
+	 *   restitution = 0.5) or 'rubberband' (with resistance = 0.55 and dimension for drag()).
+	 *   Pass null to remove the bounds.
+	 */
+	setBounds(bounds) {
+		this.bounds = bounds ? resolveBounds(bounds) : null;
+	}
+
+	/**
+	 * Sets the scheduler the frames run on. A pending frame moves to the new scheduler.
+	 * @param {Object} scheduler - An object with request(callback), which calls back once with a
+	 *   timestamp in milliseconds and returns a handle, and cancel(handle). See scheduler.js for
+	 *   animation frame, timer and manual schedulers.
+	 */
+	setScheduler(scheduler) {
+		if (!scheduler || typeof scheduler.request !== 'function' || typeof scheduler.cancel !== 'function') {
+			throw new Error('Scheduler must have request() and cancel() methods.');
+		}
+		if (this.frameId !== null) {
+			this.scheduler.cancel(this.frameId);
+			this.frameId = scheduler.request(this.tick);
+		}
+		this.scheduler = scheduler;
+	}
+}
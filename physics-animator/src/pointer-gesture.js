@@ -0,0 +1,238 @@
+
+import { describeShape, toComponents, fromComponents } from './values.js';
+import { estimateVelocity, pruneSamples } from './velocity.js';
+
+export default class PointerGesture {
+
+	/**
+	 * Creates an instance of PointerGesture, which makes an element draggable with a pointer
+	 * (mouse, pen or touch). While dragging, the value follows the pointer directly; on release,
+	 * the value and the release velocity are handed to a PhysicsAnimator, which decays from them.
+	 * @param {HTMLElement} element - The element to drag.
+	 * @param {Object} [options] - Gesture options.
+	 * @param {PhysicsAnimator} [options.animator] - The animator the value is handed to. Dragging stops
+	 *   its animation and goes through its drag(), so its rubber-band bounds apply.
+	 * @param {string} [options.axis='both'] - 'x' or 'y' to drag along one axis, with a number value,
+	 *   or 'both' for an `{ x, y }` value.
+	 * @param {boolean} [options.lockAxis=false] - With 'both', follow only the axis the drag starts along.
+	 * @param {number} [options.threshold=3] - How far, in pixels, the pointer moves before the drag starts.
+	 *   With a single axis, a drag that starts along the other axis is left to the browser (e.g. to scroll).
+	 * @param {number} [options.velocityWindow=100] - How far back, in milliseconds, pointer moves count
+	 *   towards the release velocity.
+	 * @param {number|Object|function} [options.from] - The value a drag starts from, or a function returning it.
+	 *   Defaults to the animator's current value, or to where the last drag ended.
+	 * @param {Object|boolean} [options.decay={}] - The options of the decay the animator runs on release
+	 *   (see PhysicsAnimator.decay()), or false to only report the release.
+	 * @param {function} [options.onStart] - Called when a drag starts, with `{ position }`.
+	 * @param {function} [options.onDrag] - Called on every pointer move, with `{ position, velocity }`.
+	 * @param {function} [options.onEnd] - Called on release, with `{ position, velocity }` and the
+	 *   velocity in pixels per second.
+	 * @param {function} [options.onUpdate] - The callback of the animation run on release, see
+	 *   PhysicsAnimator.animateTo(). The animator's events report the animation as well.
+	 */
+	constructor(element, {
+		animator = null,
+		axis = 'both',
+		lockAxis = false,
+		threshold = 3,
+		velocityWindow = 100,
+		from = undefined,
+		decay = {},
+		onStart = null,
+		onDrag = null,
+		onEnd = null,
+		onUpdate = null
+	} = {}) {
+
+		if (axis !== 'x' && axis !== 'y' && axis !== 'both') {
+			throw new Error('Axis must be \'x\', \'y\' or \'both\'.');
+		}
+		if (typeof threshold !== 'number' || threshold < 0) {
+			throw new Error('Threshold must be a number of at least 0.');
+		}
+		if (typeof velocityWindow !== 'number' || velocityWindow <= 0) {
+			throw new Error('Velocity window must be a number greater than 0.');
+		}
+
+		this.element = element;
+		this.animator = animator;
+		this.axis = axis;
+		this.lockAxis = lockAxis;
+		this.threshold = threshold;
+		this.velocityWindow = velocityWindow;
+		this.from = from;
+		this.decay = decay;
+		this.onStart = onStart;
+		this.onDrag = onDrag;
+		this.onEnd = onEnd;
+		this.onUpdate = onUpdate;
+
+		// A single axis drags a number, both axes an { x, y } object
+		this.shape = describeShape(axis === 'both' ? { x: 0, y: 0 } : 0);
+		this.value = fromComponents(this.shape.keys.map(() => 0), this.shape);
+
+		this.pointerId = null;
+		this.isDragging = false;
+		this.lockedAxis = null;
+		this.origin = null;
+		this.startComponents = null;
+		this.samples = [];
+
+		// Tell the browser which pans it may still handle itself
+		this.previousTouchAction = element.style.touchAction;
+		element.style.touchAction = axis === 'x' ? 'pan-y' : axis === 'y' ? 'pan-x' : 'none';
+
+		element.addEventListener('pointerdown', this.handlePointerDown);
+		element.addEventListener('pointermove', this.handlePointerMove);
+		element.addEventListener('pointerup', this.handlePointerUp);
+		element.addEventListener('pointercancel', this.handlePointerCancel);
+	}
+
+	/**
+	 * Removes the event listeners and restores the element's touch-action.
+	 */
+	destroy() {
+		this.element.removeEventListener('pointerdown', this.handlePointerDown);
+		this.element.removeEventListener('pointermove', this.handlePointerMove);
+		this.element.removeEventListener('pointerup', this.handlePointerUp);
+		this.element.removeEventListener('pointercancel', this.handlePointerCancel);
+		this.element.style.touchAction = this.previousTouchAction;
+		this.pointerId = null;
+		this.isDragging = false;
+	}
+
+	/**
+	 * Starts tracking a pointer. Only the primary button and one pointer at a time are tracked.
+	 * @param {PointerEvent} e - The pointer event.
+	 */
+	handlePointerDown = (e) => {
+		if (this.pointerId !== null || e.button !== 0) return;
+
+		this.pointerId = e.pointerId;
+		this.isDragging = false;
+		this.lockedAxis = null;
+		this.origin = { x: e.clientX, y: e.clientY };
+		this.samples = [];
+	};
+
+	/**
+	 * Starts the drag once the pointer passes the threshold, then follows it.
+	 * @param {PointerEvent} e - The pointer event.
+	 */
+	handlePointerMove = (e) => {
+		if (e.pointerId !== this.pointerId) return;
+
+		if (!this.isDragging) {
+			const dx = e.clientX - this.origin.x;
+			const dy = e.clientY - this.origin.y;
+			if (Math.hypot(dx, dy) < this.threshold) return;
+
+			// A single-axis drag that starts along the other axis belongs to the browser
+			const alongX = Math.abs(dx) >= Math.abs(dy);
+			if ((this.axis === 'x' && !alongX) || (this.axis === 'y' && alongX)) {
+				this.pointerId = null;
+				return;
+			}
+			if (this.axis === 'both' && this.lockAxis) this.lockedAxis = alongX ? 'x' : 'y';
+
+			this.start(e);
+			return;
+		}
+
+		this.move(e);
+	};
+
+	/**
+	 * Ends the drag and hands the value and the release velocity to the animator.
+	 * @param {PointerEvent} e - The pointer event.
+	 */
+	handlePointerUp = (e) => {
+		if (e.pointerId !== this.pointerId) return;
+		this.pointerId = null;
+		if (!this.isDragging) return;
+
+		this.move(e);
+		this.release(estimateVelocity(this.samples, e.timeStamp, this.velocityWindow));
+	};
+
+	/**
+	 * Ends the drag without momentum when the browser takes the pointer over.
+	 * @param {PointerEvent} e - The pointer event.
+	 */
+	handlePointerCancel = (e) => {
+		if (e.pointerId !== this.pointerId) return;
+		this.pointerId = null;
+		if (!this.isDragging) return;
+
+		this.release(this.shape.keys.map(() => 0));
+	};
+
+	/**
+	 * Starts dragging from the current value. The pointer position at the threshold becomes the
+	 * origin, so the value doesn't jump.
+	 * @param {PointerEvent} e - The pointer event.
+	 */
+	start(e) {
+		this.isDragging = true;
+		this.origin = { x: e.clientX, y: e.clientY };
+		this.element.setPointerCapture(e.pointerId);
+
+		const from = typeof this.from === 'function' ? this.from() : this.from;
+		const startValue = from !== undefined ? from : this.animator ? this.animator.currentValue : this.value;
+		this.startComponents = toComponents(startValue, this.shape);
+
+		this.setValue(this.startComponents);
+		this.samples = [{ time: e.timeStamp, position: [...this.startComponents] }];
+		if (this.onStart) this.onStart({ position: this.value });
+	}
+
+	/**
+	 * Follows the pointer along the dragged axes.
+	 * @param {PointerEvent} e - The pointer event.
+	 */
+	move(e) {
+		const delta = { x: e.clientX - this.origin.x, y: e.clientY - this.origin.y };
+		const components = this.shape.keys.map((key, i) => {
+			const axis = this.axis === 'both' ? key : this.axis;
+			if (this.lockedAxis && axis !== this.lockedAxis) return this.startComponents[i];
+			return this.startComponents[i] + delta[axis];
+		});
+
+		// Velocity follows the pointer, not the resisted value
+		this.samples.push({ time: e.timeStamp, position: components });
+		pruneSamples(this.samples, e.timeStamp, this.velocityWindow);
+
+		this.setValue(components);
+		if (this.onDrag) {
+			const velocity = estimateVelocity(this.samples, e.timeStamp, this.velocityWindow);
+			this.onDrag({ position: this.value, velocity: fromComponents(velocity, this.shape) });
+		}
+	}
+
+	/**
+	 * Sets the dragged value, through the animator when there is one.
+	 * @param {number[]} components - The value's components.
+	 */
+	setValue(components) {
+		const value = fromComponents(components, this.shape);
+		this.value = this.animator ? this.animator.drag(value) : value;
+	}
+
+	/**
+	 * Reports the release and starts the animator's decay.
+	 * @param {number[]} velocity - The release velocity, in pixels per second.
+	 */
+	release(velocity) {
+		this.isDragging = false;
+		const releaseVelocity = fromComponents(velocity, this.shape);
+		if (this.onEnd) this.onEnd({ position: this.value, velocity: releaseVelocity });
+
+		if (!this.animator || this.decay === false) return;
+
+		// The animator takes velocities in its own units
+		const animatorVelocity = fromComponents(velocity.map(v => this.animator.fromVelocityPerSecond(v)), this.shape);
+
+		// Nobody awaits the decay, so a cancelled one mustn't surface as an unhandled rejection
+		this.animator.decay(this.value, animatorVelocity, this.onUpdate, this.decay).catch(() => {});
+	}
+}
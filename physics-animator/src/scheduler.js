@@ -0,0 +1,70 @@
+/**
+ * Frame schedulers PhysicsAnimator can run on. A scheduler has
+ * `request(callback)`, which calls back once with a timestamp in milliseconds
+ * and returns a handle, and `cancel(handle)`.
+ */
+
+/**
+ * Schedules on the browser's animation frames.
+ * @type {{request: function(function(number)): number, cancel: function(number)}}
+ */
+export const frameScheduler = {
+	request: (callback) => requestAnimationFrame(callback),
+	cancel: (handle) => cancelAnimationFrame(handle)
+};
+
+/**
+ * Create a scheduler on timers, for environments without animation frames such as Node or workers.
+ * @param {number} [interval=1000/60] - The time between frames, in milliseconds.
+ * @returns {{request: function(function(number)): *, cancel: function(*)}} The scheduler.
+ */
+export function createTimeoutScheduler(interval = 1000 / 60) {
+	const now = typeof performance !== 'undefined' ? () => performance.now() : () => Date.now();
+	return {
+		request: (callback) => setTimeout(() => callback(now()), interval),
+		cancel: (handle) => clearTimeout(handle)
+	};
+}
+
+/**
+ * Create a scheduler stepped by hand with tick(), for deterministic tests and offline rendering.
+ * Its time starts at startTime and only moves on tick().
+ * @param {number} [startTime=0] - The initial time, in milliseconds.
+ * @returns {{time: number, request: function(function(number)): number, cancel: function(number),
+ *   tick: function(number): boolean}} The scheduler. tick(dt) advances the time by dt milliseconds,
+ *   runs the callbacks requested so far, and returns whether new ones are waiting.
+ */
+export function createManualScheduler(startTime = 0) {
+	let time = startTime;
+	let nextHandle = 1;
+	const queue = new Map();
+
+	return {
+		get time() {
+			return time;
+		},
+		request(callback) {
+			queue.set(nextHandle, callback);
+			return nextHandle++;
+		},
+		cancel(handle) {
+			queue.delete(handle);
+		},
+		tick(dt = 1000 / 60) {
+			time += dt;
+			// Callbacks requested while ticking wait for the next tick
+			const callbacks = [...queue.values()];
+			queue.clear();
+			callbacks.forEach(callback => callback(time));
+			return queue.size > 0;
+		}
+	};
+}
+
+/**
+ * Pick the scheduler for the current environment.
+ * @returns {Object} The animation frame scheduler, or a timer scheduler when there are no animation frames.
+ */
+export function defaultScheduler() {
+	return typeof requestAnimationFrame === 'function' ? frameScheduler : createTimeoutScheduler();
+}
@@ -0,0 +1,136 @@
+/**
+ * Damped harmonic oscillator used by PhysicsAnimator's spring mode.
+ * Time is in seconds and velocity in units per second, so the motion
+ * does not depend on the frame rate.
+ */
+
+/**
+ * Resolve spring options to physical parameters.
+ * @param {Object} options - The spring options.
+ * @param {number} [options.stiffness=170] - The spring constant.
+ * @param {number} [options.damping=26] - The damping coefficient.
+ * @param {number} [options.mass=1] - The mass.
+ * @param {number} [options.duration] - The perceptual duration in seconds. When set, it replaces
+ *   stiffness and damping (with a mass of 1), like SwiftUI's and Framer Motion's springs.
+ * @param {number} [options.bounce=0] - With duration: 0 for no overshoot, up to 1 for an undamped
+ *   spring; negative values are overdamped.
+ * @param {string} [options.integration='analytic'] - 'analytic' for the exact solution, or 'fixed'
+ *   for a fixed-timestep integration.
+ * @param {number} [options.timestep=1/240] - The step of the fixed-timestep integration, in seconds.
+ * @param {number} [options.restDelta=0.01] - The distance from the target under which the spring can rest.
+ * @param {number} [options.restSpeed=0.1] - The speed, in units per second, under which the spring can rest.
+ * @returns {Object} The validated spring.
+ * @throws {Error} If an option is out of range.
+ */
+export function resolveSpring({
+	stiffness = 170,
+	damping = 26,
+	mass = 1,
+	duration,
+	bounce = 0,
+	integration = 'analytic',
+	timestep = 1 / 240,
+	restDelta = 0.01,
+	restSpeed = 0.1
+} = {}) {
+
+	if (duration !== undefined) {
+		if (typeof duration !== 'number' || duration <= 0) {
+			throw new Error('Spring duration must be a number greater than 0.');
+		}
+		if (typeof bounce !== 'number' || bounce <= -1 || bounce > 1) {
+			throw new Error('Spring bounce must be a number greater than -1 and at most 1.');
+		}
+
+		// A bounce of 0 is critically damped; positive bounces reduce the damping ratio
+		const dampingRatio = bounce >= 0 ? 1 - bounce : 1 / (1 + bounce);
+		const angularFrequency = (2 * Math.PI) / duration;
+		mass = 1;
+		stiffness = angularFrequency * angularFrequency;
+		damping = 2 * dampingRatio * angularFrequency;
+	}
+
+	if (typeof stiffness !== 'number' || stiffness <= 0) {
+		throw new Error('Spring stiffness must be a number greater than 0.');
+	}
+	if (typeof damping !== 'number' || damping < 0) {
+		throw new Error('Spring damping must be a number of at least 0.');
+	}
+	if (typeof mass !== 'number' || mass <= 0) {
+		throw new Error('Spring mass must be a number greater than 0.');
+	}
+	if (integration !== 'analytic' && integration !== 'fixed') {
+		throw new Error('Spring integration must be \'analytic\' or \'fixed\'.');
+	}
+	if (typeof timestep !== 'number' || timestep <= 0) {
+		throw new Error('Spring timestep must be a number greater than 0.');
+	}
+
+	return { stiffness, damping, mass, integration, timestep, restDelta, restSpeed };
+}
+
+/**
+ * Solve the spring exactly.
+ * @param {Object} spring - The spring, see resolveSpring().
+ * @param {number} displacement - The initial distance from the target.
+ * @param {number} velocity - The initial velocity, in units per second.
+ * @param {number} t - The time since the initial state, in seconds.
+ * @returns {{displacement: number, velocity: number}} The state at time t.
+ */
+export function solveSpring({ stiffness, damping, mass }, displacement, velocity, t) {
+	const angularFrequency = Math.sqrt(stiffness / mass);
+	const dampingRatio = damping / (2 * Math.sqrt(stiffness * mass));
+	const x0 = displacement;
+	const v0 = velocity;
+
+	// Ratios within rounding error of 1 are treated as critically damped
+	if (dampingRatio < 1 - 1e-6) {
+		// Underdamped: oscillates around the target with a decaying envelope
+		const dampedFrequency = angularFrequency * Math.sqrt(1 - dampingRatio * dampingRatio);
+		const decay = dampingRatio * angularFrequency;
+		const envelope = Math.exp(-decay * t);
+		const a = x0;
+		const b = (v0 + decay * x0) / dampedFrequency;
+		const cos = Math.cos(dampedFrequency * t);
+		const sin = Math.sin(dampedFrequency * t);
+		return {
+			displacement: envelope * (a * cos + b * sin),
+			velocity: envelope * ((b * dampedFrequency - a * decay) * cos - (a * dampedFrequency + b * decay) * sin)
+		};
+	}
+
+	if (dampingRatio <= 1 + 1e-6) {
+		// Critically damped: the fastest approach without overshooting
+		const envelope = Math.exp(-angularFrequency * t);
+		const b = v0 + angularFrequency * x0;
+		return {
+			displacement: envelope * (x0 + b * t),
+			velocity: envelope * (b - angularFrequency * (x0 + b * t))
+		};
+	}
+
+	// Overdamped: the sum of two decaying exponentials
+	const root = angularFrequency * Math.sqrt(dampingRatio * dampingRatio - 1);
+	const r1 = -dampingRatio * angularFrequency + root;
+	const r2 = -dampingRatio * angularFrequency - root;
+	const c1 = (v0 - r2 * x0) / (r1 - r2);
+	const c2 = x0 - c1;
+	return {
+		displacement: c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t),
+		velocity: c1 * r1 * Math.exp(r1 * t) + c2 * r2 * Math.exp(r2 * t)
+	};
+}
+
+/**
+ * Advance the spring by one integration step (semi-implicit Euler).
+ * @param {Object} spring - The spring, see resolveSpring().
+ * @param {number} displacement - The distance from the target.
+ * @param {number} velocity - The velocity, in units per second.
+ * @param {number} dt - The step, in seconds.
+ * @returns {{displacement: number, velocity: number}} The state after the step.
+ */
+export function stepSpring({ stiffness, damping, mass }, displacement, velocity, dt) {
+	const acceleration = (-stiffness * displacement - damping * velocity) / mass;
+	const nextVelocity = velocity + acceleration * dt;
+	return { displacement: displacement + nextVelocity * dt, velocity: nextVelocity };
+}
@@ -0,0 +1,158 @@
+/**
+ * A frame loop shared by every animator, so any number of running animations
+ * cost one animation frame callback. Each frame runs in three phases, all with
+ * the same timestamp:
+ *
+ * 1. read: ticker.read() callbacks, to measure layout before anything is written;
+ * 2. update: the animators (ticker.request() callbacks), whose callbacks write styles;
+ * 3. write: ticker.write() callbacks.
+ *
+ * A write requested during the read or update phase runs in the same frame; a read
+ * requested after the read phase waits for the next frame, so reads never follow
+ * writes within a frame. The ticker sleeps when nothing is queued.
+ */
+
+import { defaultScheduler } from './scheduler.js';
+
+const PHASES = ['read', 'update', 'write'];
+
+export class Ticker {
+
+	/**
+	 * Creates an instance of Ticker.
+	 * @param {Object} [scheduler] - The scheduler the frames run on, see scheduler.js.
+	 *   Defaults to animation frames, or timers where there are none, picked on the first frame.
+	 */
+	constructor(scheduler = null) {
+		this.scheduler = scheduler;
+		this.queues = { read: new Map(), update: new Map(), write: new Map() };
+		this.nextHandle = 1;
+		this.frameId = null;
+		this.phase = null;
+		// The callbacks of the phase that is running, which cancel() can still remove
+		this.running = new Map();
+		this.frame = this.frame.bind(this);
+	}
+
+	/**
+	 * Runs a callback once in the update phase of the next frame. With cancel(), this makes
+	 * the ticker a scheduler PhysicsAnimator can run on.
+	 * @param {function(number)} callback - Receives the frame timestamp, in milliseconds.
+	 * @returns {number} A handle for cancel().
+	 */
+	request(callback) {
+		return this.schedule('update', callback);
+	}
+
+	/**
+	 * Runs a callback once in the read phase of the next frame.
+	 * @param {function(number)} callback - Receives the frame timestamp, in milliseconds.
+	 * @returns {number} A handle for cancel().
+	 */
+	read(callback) {
+		return this.schedule('read', callback);
+	}
+
+	/**
+	 * Runs a callback once in the write phase of the current frame, or of the next one.
+	 * @param {function(number)} callback - Receives the frame timestamp, in milliseconds.
+	 * @returns {number} A handle for cancel().
+	 */
+	write(callback) {
+		return this.schedule('write', callback);
+	}
+
+	/**
+	 * Cancels a callback requested with request(), read() or write().
+	 * @param {number} handle - The handle.
+	 */
+	cancel(handle) {
+		PHASES.forEach(phase => this.queues[phase].delete(handle));
+		this.running.delete(handle);
+
+		// Go to sleep right away when nothing is left
+		if (this.phase === null && this.frameId !== null && PHASES.every(phase => this.queues[phase].size === 0)) {
+			this.scheduler.cancel(this.frameId);
+			this.frameId = null;
+		}
+	}
+
+	/**
+	 * Checks whether the ticker is waiting for a frame.
+	 * @returns {boolean} True while callbacks are queued.
+	 */
+	isAwake() {
+		return this.frameId !== null;
+	}
+
+	/**
+	 * Sets the scheduler the frames run on. A pending frame moves to the new scheduler.
+	 * @param {Object} scheduler - The scheduler, see scheduler.js.
+	 */
+	setScheduler(scheduler) {
+		if (this.frameId !== null) {
+			this.scheduler.cancel(this.frameId);
+			this.frameId = scheduler.request(this.frame);
+		}
+		this.scheduler = scheduler;
+	}
+
+	/**
+	 * Queues a callback in a phase and wakes the ticker.
+	 * @param {string} phase - 'read', 'update' or 'write'.
+	 * @param {function(number)} callback - The callback.
+	 * @returns {number} A handle for cancel().
+	 */
+	schedule(phase, callback) {
+		const handle = this.nextHandle++;
+		this.queues[phase].set(handle, callback);
+
+		// During a frame, the end of the frame decides whether another one is needed
+		if (this.phase === null) this.wake();
+		return handle;
+	}
+
+	/**
+	 * Requests a frame, unless one is pending.
+	 */
+	wake() {
+		if (this.frameId !== null) return;
+		if (!this.scheduler) this.scheduler = defaultScheduler();
+		this.frameId = this.scheduler.request(this.frame);
+	}
+
+	/**
+	 * Runs the queued callbacks phase by phase.
+	 * @param {number} time - The frame timestamp, in milliseconds.
+	 */
+	frame(time) {
+		this.frameId = null;
+		for (const phase of PHASES) {
+			this.phase = phase;
+			// Callbacks queued from now on in this phase wait for the next frame
+			this.running = this.queues[phase];
+			this.queues[phase] = new Map();
+			// Callbacks cancelled while the phase runs are skipped
+			this.running.forEach(callback => {
+				// One failing callback must not stall the other animations
+				try {
+					callback(time);
+				} catch (error) {
+					setTimeout(() => {
+						throw error;
+					});
+				}
+			});
+		}
+		this.phase = null;
+		this.running = new Map();
+
+		if (PHASES.some(phase => this.queues[phase].size > 0)) this.wake();
+	}
+}
+
+/**
+ * The ticker animators share by default.
+ * @type {Ticker}
+ */
+export const ticker = new Ticker();
@@ -0,0 +1,58 @@
+/**
+ * Conversions between the values PhysicsAnimator animates (a number, an array
+ * of numbers or an object of numbers such as `{ x, y, scale }`) and the flat
+ * component arrays its physics runs on.
+ */
+
+/**
+ * Describe the shape of a value.
+ * @param {number|number[]|Object<string, number>} value - The value.
+ * @returns {{type: string, keys: Array<number|string>}} The type ('number', 'array' or 'object')
+ *   and the keys of its components.
+ * @throws {Error} If the value is not a number, an array of numbers or an object of numbers.
+ */
+export function describeShape(value) {
+	if (typeof value === 'number') {
+		return { type: 'number', keys: [0] };
+	}
+
+	const isArray = Array.isArray(value);
+	if (isArray || (value && typeof value === 'object')) {
+		const keys = isArray ? value.map((_, i) => i) : Object.keys(value);
+		if (keys.length > 0 && keys.every(key => typeof value[key] === 'number')) {
+			return { type: isArray ? 'array' : 'object', keys };
+		}
+	}
+
+	throw new Error('Values must be numbers, arrays of numbers or objects of numbers.');
+}
+
+/**
+ * Read the components of a value in the order of a shape.
+ * A number is used for every component and missing components are 0.
+ * @param {number|number[]|Object<string, number>|undefined} value - The value.
+ * @param {Object} shape - The shape, see describeShape().
+ * @returns {number[]} The components.
+ */
+export function toComponents(value, shape) {
+	if (typeof value === 'number') return shape.keys.map(() => value);
+	if (value === undefined || value === null) return shape.keys.map(() => 0);
+	return shape.keys.map(key => (typeof value[key] === 'number' ? value[key] : 0));
+}
+
+/**
+ * Build a value of a shape from its components.
+ * @param {number[]} components - The components.
+ * @param {Object} shape - The shape, see describeShape().
+ * @returns {number|number[]|Object<string, number>} The value.
+ */
+export function fromComponents(components, shape) {
+	if (shape.type === 'number') return components[0];
+	if (shape.type === 'array') return [...components];
+
+	const value = {};
+	shape.keys.forEach((key, i) => {
+		value[key] = components[i];
+	});
+	return value;
+}
@@ -0,0 +1,42 @@
+/**
+ * Release velocity estimation for pointer gestures. Pointer events arrive at
+ * an uneven rate, so the velocity is fitted over the samples of a short
+ * time window rather than taken from the last two events.
+ */
+
+/**
+ * Estimate the velocity at a time from position samples.
+ * @param {Array<{time: number, position: number[]}>} samples - The samples, oldest first, with times in milliseconds.
+ * @param {number} time - The time of the estimate, e.g. the pointerup time, in milliseconds.
+ * @param {number} [window=100] - How far back samples are used, in milliseconds.
+ * @returns {number[]} The velocity of each component, in units per second. Zero when the pointer
+ *   has not moved within the window.
+ */
+export function estimateVelocity(samples, time, window = 100) {
+	const recent = samples.filter(sample => time - sample.time <= window);
+	const size = samples.length > 0 ? samples[0].position.length : 0;
+	if (recent.length < 2) return new Array(size).fill(0);
+
+	// Least-squares slope of each component over time
+	const meanTime = recent.reduce((sum, sample) => sum + sample.time, 0) / recent.length;
+	const variance = recent.reduce((sum, sample) => sum + (sample.time - meanTime) ** 2, 0);
+	if (variance === 0) return new Array(size).fill(0);
+
+	return recent[0].position.map((_, i) => {
+		const mean = recent.reduce((sum, sample) => sum + sample.position[i], 0) / recent.length;
+		const covariance = recent.reduce((sum, sample) => sum + (sample.time - meanTime) * (sample.position[i] - mean), 0);
+		return (covariance / variance) * 1000;
+	});
+}
+
+/**
+ * Drop the samples a velocity estimate will no longer use.
+ * @param {Array<{time: number, position: number[]}>} samples - The samples, oldest first. Modified in place.
+ * @param {number} time - The current time, in milliseconds.
+ * @param {number} [window=100] - How far back samples are kept, in milliseconds.
+ */
+export function pruneSamples(samples, time, window = 100) {
+	while (samples.length > 2 && time - samples[0].time > window) {
+		samples.shift();
+	}
+}
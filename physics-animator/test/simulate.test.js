@@ -0,0 +1,66 @@
+/**
+ * Snapshot-style tests of PhysicsAnimator.simulate(): trajectories run on a
+ * manual scheduler, so they are exact and repeatable.
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PhysicsAnimator from '../src/physics-animator.js';
+
+const TIMESTEP = 1000 / 60;
+
+/**
+ * Check that samples are taken every timestep from time 0.
+ * @param {Object[]} trajectory - The samples.
+ */
+function assertUniformTimes(trajectory) {
+	trajectory.forEach(({ time }, i) => assert.ok(Math.abs(time - i * TIMESTEP) < 1e-6, `sample ${i} at ${time}ms`));
+}
+
+test('attraction settles on the target, the same way every run', () => {
+	const options = { from: 0, to: 100, attraction: 0.1, friction: 0.2 };
+	const trajectory = PhysicsAnimator.simulate(options);
+
+	assert.deepEqual(PhysicsAnimator.simulate(options), trajectory);
+	assertUniformTimes(trajectory);
+	assert.deepEqual(trajectory[0], { time: 0, position: 0, velocity: 0, progress: 0 });
+	assert.ok(Math.abs(trajectory[1].position - 8.005688957045267) < 1e-9);
+	assert.ok(Math.abs(trajectory[2].position - 21.774446666019358) < 1e-9);
+	assert.equal(trajectory.length, 64);
+	const { position, velocity, progress } = trajectory[trajectory.length - 1];
+	assert.deepEqual({ position, velocity, progress }, { position: 100, velocity: 0, progress: 1 });
+});
+
+test('an analytic critically damped spring follows its closed form', () => {
+	// stiffness 100 and damping 20 with a mass of 1: critically damped, with ω = 10
+	const trajectory = PhysicsAnimator.simulate({ from: 0, to: 1, spring: { stiffness: 100, damping: 20 } });
+	const expected = (time) => {
+		const t = time / 1000;
+		return 1 - (1 + 10 * t) * Math.exp(-10 * t);
+	};
+
+	assertUniformTimes(trajectory);
+	// The last sample snaps onto the target once within restDelta
+	trajectory.slice(0, -1).forEach(({ time, position }) => {
+		assert.ok(Math.abs(position - expected(time)) < 1e-9, `position ${position} at ${time}ms`);
+	});
+	const last = trajectory[trajectory.length - 1];
+	assert.equal(last.position, 1);
+	assert.ok(Math.abs(expected(last.time) - 1) < 0.01);
+	assert.ok(trajectory.every(({ position }) => position <= 1), 'a critically damped spring does not overshoot');
+});
+
+test('a decay with snap points hands off to the snap point nearest its projection', () => {
+	const options = { attraction: 0.1, friction: 0.2 };
+	const projected = new PhysicsAnimator(options).projectDecay(0, 60);
+	const trajectory = PhysicsAnimator.simulate({ ...options, from: 0, velocity: 60, decay: { snapPoints: [0, 300, 600] } });
+
+	assert.ok(Math.abs(projected - 268.88520706347305) < 1e-9);
+	assertUniformTimes(trajectory);
+	assert.deepEqual(trajectory[0], { time: 0, position: 0, velocity: 60, progress: 0 });
+	assert.equal(trajectory[trajectory.length - 1].position, 300);
+	assert.equal(trajectory[trajectory.length - 1].velocity, 0);
+	assert.equal(trajectory.length, 99);
+});
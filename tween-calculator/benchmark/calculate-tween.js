@@ -0,0 +1,93 @@
+/**
+ * Compares TweenCalculator.calculateTween(), which evaluates precompiled tracks,
+ * with the implementation of the repository's first commit, read from git, which
+ * parses the keyframe strings on every frame. The keyframes stick to what that
+ * implementation supports; their output differs in formatting (e.g. colors), so
+ * only the time is compared.
+ *
+ * Run with `npm run benchmark` inside a git checkout.
+ */
+
+import { execFileSync } from 'node:child_process';
+import TweenCalculator from '../src/tween-calculator.js';
+
+const git = (...args) => execFileSync('git', args, { cwd: new URL('..', import.meta.url), encoding: 'utf8' }).trim();
+const baseRef = git('rev-list', '--max-parents=0', 'HEAD');
+const baselineSource = git('show', `${baseRef}:./src/tween-calculator.js`);
+const { default: BaselineTweenCalculator } =
+  await import(`data:text/javascript;base64,${Buffer.from(baselineSource).toString('base64')}`);
+
+const FRAMES = 20000;
+
+const keyframes = [
+  {
+    percent: 0,
+    styles: {
+      transform: 'translateX(0px) rotate(0deg) scale(1.0)',
+      backgroundColor: '#ff0000',
+      opacity: 1.0,
+      borderWidth: '1px',
+      filter: 'blur(0px) brightness(100%)',
+      display: 'block'
+    }
+  },
+  {
+    percent: 50,
+    styles: {
+      transform: 'translateX(150px) rotate(-180deg) scale(0.5)',
+      backgroundColor: '#00ff00',
+      opacity: 0.1,
+      borderWidth: '50px',
+      filter: 'blur(4px) brightness(120%)'
+    }
+  },
+  {
+    percent: 80,
+    styles: {
+      transform: 'translateX(300px) rotate(180deg) scale(1.6)',
+      backgroundColor: '#0000ff',
+      opacity: 0.8,
+      borderWidth: '5px',
+      filter: 'blur(2px) brightness(90%)'
+    }
+  },
+  {
+    percent: 100,
+    styles: {
+      transform: 'translateX(900px) rotate(-720deg) scale(1.0)',
+      backgroundColor: '#ff00ff',
+      opacity: 1,
+      borderWidth: '0px',
+      filter: 'blur(0px) brightness(100%)',
+      display: 'none'
+    }
+  }
+];
+
+// Each implementation gets its own copy, as setKeyframes() sorts in place
+const tween = new TweenCalculator(structuredClone(keyframes));
+const baseline = new BaselineTweenCalculator(structuredClone(keyframes));
+
+/**
+ * Time a function over FRAMES positions spread across the animation.
+ * @param {function(number): Object} calculate - The function to time.
+ * @returns {number} The time per frame in microseconds.
+ */
+function measure(calculate) {
+  const start = performance.now();
+  for (let i = 0; i < FRAMES; i++) {
+    calculate(i / (FRAMES - 1));
+  }
+  return ((performance.now() - start) * 1000) / FRAMES;
+}
+
+// Warm up both implementations before timing
+measure((position) => tween.calculateTween(position));
+measure((position) => baseline.calculateTween(position));
+
+const compiledTime = measure((position) => tween.calculateTween(position));
+const baselineTime = measure((position) => baseline.calculateTween(position));
+
+console.log(`baseline: ${baselineTime.toFixed(2)}µs per frame`);
+console.log(`compiled: ${compiledTime.toFixed(2)}µs per frame`);
+console.log(`speedup:  ${(baselineTime / compiledTime).toFixed(1)}x`);
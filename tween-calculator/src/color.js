@@ -0,0 +1,379 @@
+/**
+ * CSS color parsing helpers used by TweenCalculator.
+ * Colors are normalized to [r, g, b, a] arrays with r/g/b in 0-255 and a in 0-1.
+ */
+
+/**
+ * CSS named colors (CSS Color Module Level 4), keyed by lowercase name.
+ * @type {Object<string, number[]>}
+ */
+export const NAMED_COLORS = {
+  aliceblue: [240, 248, 255], antiquewhite: [250, 235, 215], aqua: [0, 255, 255],
+  aquamarine: [127, 255, 212], azure: [240, 255, 255], beige: [245, 245, 220],
+  bisque: [255, 228, 196], black: [0, 0, 0], blanchedalmond: [255, 235, 205],
+  blue: [0, 0, 255], blueviolet: [138, 43, 226], brown: [165, 42, 42],
+  burlywood: [222, 184, 135], cadetblue: [95, 158, 160], chartreuse: [127, 255, 0],
+  chocolate: [210, 105, 30], coral: [255, 127, 80], cornflowerblue: [100, 149, 237],
+  cornsilk: [255, 248, 220], crimson: [220, 20, 60], cyan: [0, 255, 255],
+  darkblue: [0, 0, 139], darkcyan: [0, 139, 139], darkgoldenrod: [184, 134, 11],
+  darkgray: [169, 169, 169], darkgreen: [0, 100, 0], darkgrey: [169, 169, 169],
+  darkkhaki: [189, 183, 107], darkmagenta: [139, 0, 139], darkolivegreen: [85, 107, 47],
+  darkorange: [255, 140, 0], darkorchid: [153, 50, 204], darkred: [139, 0, 0],
+  darksalmon: [233, 150, 122], darkseagreen: [143, 188, 143], darkslateblue: [72, 61, 139],
+  darkslategray: [47, 79, 79], darkslategrey: [47, 79, 79], darkturquoise: [0, 206, 209],
+  darkviolet: [148, 0, 211], deeppink: [255, 20, 147], deepskyblue: [0, 191, 255],
+  dimgray: [105, 105, 105], dimgrey: [105, 105, 105], dodgerblue: [30, 144, 255],
+  firebrick: [178, 34, 34], floralwhite: [255, 250, 240], forestgreen: [34, 139, 34],
+  fuchsia: [255, 0, 255], gainsboro: [220, 220, 220], ghostwhite: [248, 248, 255],
+  gold: [255, 215, 0], goldenrod: [218, 165, 32], gray: [128, 128, 128],
+  green: [0, 128, 0], greenyellow: [173, 255, 47], grey: [128, 128, 128],
+  honeydew: [240, 255, 240], hotpink: [255, 105, 180], indianred: [205, 92, 92],
+  indigo: [75, 0, 130], ivory: [255, 255, 240], khaki: [240, 230, 140],
+  lavender: [230, 230, 250], lavenderblush: [255, 240, 245], lawngreen: [124, 252, 0],
+  lemonchiffon: [255, 250, 205], lightblue: [173, 216, 230], lightcoral: [240, 128, 128],
+  lightcyan: [224, 255, 255], lightgoldenrodyellow: [250, 250, 210], lightgray: [211, 211, 211],
+  lightgreen: [144, 238, 144], lightgrey: [211, 211, 211], lightpink: [255, 182, 193],
+  lightsalmon: [255, 160, 122], lightseagreen: [32, 178, 170], lightskyblue: [135, 206, 250],
+  lightslategray: [119, 136, 153], lightslategrey: [119, 136, 153], lightsteelblue: [176, 196, 222],
+  lightyellow: [255, 255, 224], lime: [0, 255, 0], limegreen: [50, 205, 50],
+  linen: [250, 240, 230], magenta: [255, 0, 255], maroon: [128, 0, 0],
+  mediumaquamarine: [102, 205, 170], mediumblue: [0, 0, 205], mediumorchid: [186, 85, 211],
+  mediumpurple: [147, 112, 219], mediumseagreen: [60, 179, 113], mediumslateblue: [123, 104, 238],
+  mediumspringgreen: [0, 250, 154], mediumturquoise: [72, 209, 204], mediumvioletred: [199, 21, 133],
+  midnightblue: [25, 25, 112], mintcream: [245, 255, 250], mistyrose: [255, 228, 225],
+  moccasin: [255, 228, 181], navajowhite: [255, 222, 173], navy: [0, 0, 128],
+  oldlace: [253, 245, 230], olive: [128, 128, 0], olivedrab: [107, 142, 35],
+  orange: [255, 165, 0], orangered: [255, 69, 0], orchid: [218, 112, 214],
+  palegoldenrod: [238, 232, 170], palegreen: [152, 251, 152], paleturquoise: [175, 238, 238],
+  palevioletred: [219, 112, 147], papayawhip: [255, 239, 213], peachpuff: [255, 218, 185],
+  peru: [205, 133, 63], pink: [255, 192, 203], plum: [221, 160, 221],
+  powderblue: [176, 224, 230], purple: [128, 0, 128], rebeccapurple: [102, 51, 153],
+  red: [255, 0, 0], rosybrown: [188, 143, 143], royalblue: [65, 105, 225],
+  saddlebrown: [139, 69, 19], salmon: [250, 128, 114], sandybrown: [244, 164, 96],
+  seagreen: [46, 139, 87], seashell: [255, 245, 238], sienna: [160, 82, 45],
+  silver: [192, 192, 192], skyblue: [135, 206, 235], slateblue: [106, 90, 205],
+  slategray: [112, 128, 144], slategrey: [112, 128, 144], snow: [255, 250, 250],
+  springgreen: [0, 255, 127], steelblue: [70, 130, 180], tan: [210, 180, 140],
+  teal: [0, 128, 128], thistle: [216, 191, 216], tomato: [255, 99, 71],
+  turquoise: [64, 224, 208], violet: [238, 130, 238], wheat: [245, 222, 179],
+  white: [255, 255, 255], whitesmoke: [245, 245, 245], yellow: [255, 255, 0],
+  yellowgreen: [154, 205, 50]
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Parse a hex color (#rgb, #rgba, #rrggbb or #rrggbbaa).
+ * @param {string} hex - The hex string including the leading '#'.
+ * @returns {number[]|null} An [r, g, b, a] array, or null if the string is not valid hex.
+ */
+function parseHex(hex) {
+  let digits = hex.slice(1);
+  if (!/^[0-9a-f]+$/i.test(digits)) return null;
+
+  if (digits.length === 3 || digits.length === 4) {
+    digits = digits.split('').map(d => d + d).join('');
+  }
+  if (digits.length !== 6 && digits.length !== 8) return null;
+
+  const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+  const alpha = channels.length === 4 ? channels[3] / 255 : 1;
+  return [channels[0], channels[1], channels[2], alpha];
+}
+
+/**
+ * Parse an alpha component, which may be a number (0-1) or a percentage.
+ * @param {string} [arg] - The alpha argument.
+ * @returns {number} The alpha value clamped to 0-1.
+ */
+function parseAlpha(arg) {
+  if (arg === undefined) return 1;
+  const value = parseFloat(arg);
+  if (Number.isNaN(value)) return NaN;
+  return clamp(arg.endsWith('%') ? value / 100 : value, 0, 1);
+}
+
+/**
+ * Parse a hue component with an optional angle unit into degrees.
+ * @param {string} arg - The hue argument (e.g. '120', '120deg', '0.5turn').
+ * @returns {number} The hue in degrees.
+ */
+function parseHue(arg) {
+  const match = arg.match(/^(-?\d*\.?\d+(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/i);
+  if (!match) return NaN;
+  const value = parseFloat(match[1]);
+  switch ((match[2] || 'deg').toLowerCase()) {
+    case 'rad':
+      return value * 180 / Math.PI;
+    case 'grad':
+      return value * 0.9;
+    case 'turn':
+      return value * 360;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Split the arguments of a color function, accepting both the legacy comma
+ * syntax (`rgb(255, 0, 0, 0.5)`) and the modern space syntax (`rgb(255 0 0 / 50%)`).
+ * @param {string} body - The text between the parentheses.
+ * @returns {string[]} The individual arguments, with alpha (if any) last.
+ */
+function splitArgs(body) {
+  const trimmed = body.trim();
+  if (trimmed.includes(',')) {
+    return trimmed.split(/\s*,\s*/);
+  }
+  const [channels, alpha] = trimmed.split(/\s*\/\s*/);
+  const args = channels.split(/\s+/);
+  if (alpha !== undefined) args.push(alpha);
+  return args;
+}
+
+/**
+ * Convert HSL to RGB.
+ * @param {number} h - Hue in degrees.
+ * @param {number} s - Saturation (0-1).
+ * @param {number} l - Lightness (0-1).
+ * @returns {number[]} An [r, g, b] array with channels in 0-255.
+ */
+export function hslToRGB(h, s, l) {
+  const hue = ((h % 360) + 360) % 360;
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+/**
+ * Parse any supported CSS color string.
+ * Supports hex (3, 4, 6 and 8 digits), rgb()/rgba(), hsl()/hsla() in comma
+ * or space syntax, named colors and `transparent`.
+ * @param {string} color - The color string to parse.
+ * @returns {number[]|null} An [r, g, b, a] array, or null if the value is not a color.
+ */
+export function parseColor(color) {
+  if (typeof color !== 'string') return null;
+  const value = color.trim().toLowerCase();
+
+  if (value.startsWith('#')) {
+    return parseHex(value);
+  }
+
+  if (value === 'transparent') {
+    return [0, 0, 0, 0];
+  }
+
+  if (NAMED_COLORS[value]) {
+    return [...NAMED_COLORS[value], 1];
+  }
+
+  const match = value.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!match) return null;
+
+  const [, func, body] = match;
+  const args = splitArgs(body);
+  if (args.length !== 3 && args.length !== 4) return null;
+
+  let rgba;
+  if (func.startsWith('rgb')) {
+    const channels = args.slice(0, 3).map(arg => {
+      const number = parseFloat(arg);
+      return clamp(arg.endsWith('%') ? number * 2.55 : number, 0, 255);
+    });
+    rgba = [...channels, parseAlpha(args[3])];
+  } else {
+    const hue = parseHue(args[0]);
+    const saturation = clamp(parseFloat(args[1]) / 100, 0, 1);
+    const lightness = clamp(parseFloat(args[2]) / 100, 0, 1);
+    rgba = [...hslToRGB(hue, saturation, lightness), parseAlpha(args[3])];
+  }
+
+  return rgba.some(Number.isNaN) ? null : rgba;
+}
+
+/**
+ * Convert a gamma-encoded sRGB channel (0-1) to linear light.
+ * @param {number} c - The encoded channel value.
+ * @returns {number} The linear channel value.
+ */
+function srgbToLinear(c) {
+  const abs = Math.abs(c);
+  const linear = abs <= 0.04045 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4);
+  return Math.sign(c) * linear;
+}
+
+/**
+ * Convert a linear-light channel (0-1) to gamma-encoded sRGB.
+ * @param {number} c - The linear channel value.
+ * @returns {number} The encoded channel value.
+ */
+function linearToSRGB(c) {
+  const abs = Math.abs(c);
+  const encoded = abs <= 0.0031308 ? abs * 12.92 : 1.055 * Math.pow(abs, 1 / 2.4) - 0.055;
+  return Math.sign(c) * encoded;
+}
+
+/**
+ * Convert linear sRGB to OKLab.
+ * @param {number[]} rgb - Linear [r, g, b] in 0-1.
+ * @returns {number[]} [L, a, b].
+ */
+function linearSRGBToOklab([r, g, b]) {
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+/**
+ * Convert OKLab to linear sRGB.
+ * @param {number[]} lab - [L, a, b].
+ * @returns {number[]} Linear [r, g, b] in 0-1 (may fall outside the gamut).
+ */
+function oklabToLinearSRGB([L, a, b]) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+/**
+ * Supported color interpolation spaces.
+ * @type {string[]}
+ */
+export const COLOR_SPACES = ['srgb', 'linear-srgb', 'oklab', 'oklch'];
+
+/**
+ * Supported hue interpolation methods for polar color spaces.
+ * @type {string[]}
+ */
+export const HUE_METHODS = ['shorter', 'longer', 'increasing', 'decreasing'];
+
+/**
+ * Chroma below which an OKLCH color is treated as achromatic (hue is powerless).
+ */
+const ACHROMATIC_CHROMA = 1e-4;
+
+/**
+ * Convert an [r, g, b, a] color into the coordinates of an interpolation space.
+ * @param {number[]} rgba - The color with r/g/b in 0-255 and alpha in 0-1.
+ * @param {string} space - One of COLOR_SPACES.
+ * @returns {number[]} The three space coordinates followed by alpha. For oklch the
+ *   hue is NaN when the color is achromatic.
+ */
+export function toColorSpace(rgba, space) {
+  const srgb = rgba.slice(0, 3).map(c => c / 255);
+  if (space === 'srgb') return [...srgb, rgba[3]];
+
+  const linear = srgb.map(srgbToLinear);
+  if (space === 'linear-srgb') return [...linear, rgba[3]];
+
+  const [L, a, b] = linearSRGBToOklab(linear);
+  if (space === 'oklab') return [L, a, b, rgba[3]];
+
+  const chroma = Math.sqrt(a * a + b * b);
+  const hue = chroma < ACHROMATIC_CHROMA ? NaN : ((Math.atan2(b, a) * 180 / Math.PI) + 360) % 360;
+  return [L, chroma, hue, rgba[3]];
+}
+
+/**
+ * Convert interpolation space coordinates back to an [r, g, b, a] color.
+ * Out-of-gamut results are clipped to the sRGB cube.
+ * @param {number[]} coords - The three space coordinates followed by alpha.
+ * @param {string} space - One of COLOR_SPACES.
+ * @returns {number[]} The color with r/g/b in 0-255 and alpha in 0-1.
+ */
+export function fromColorSpace(coords, space) {
+  let srgb;
+  if (space === 'srgb') {
+    srgb = coords.slice(0, 3);
+  } else if (space === 'linear-srgb') {
+    srgb = coords.slice(0, 3).map(linearToSRGB);
+  } else {
+    let lab = coords.slice(0, 3);
+    if (space === 'oklch') {
+      const [L, C, H] = lab;
+      const radians = (Number.isNaN(H) ? 0 : H) * Math.PI / 180;
+      lab = [L, C * Math.cos(radians), C * Math.sin(radians)];
+    }
+    srgb = oklabToLinearSRGB(lab).map(linearToSRGB);
+  }
+  return [...srgb.map(c => clamp(c, 0, 1) * 255), coords[3]];
+}
+
+/**
+ * Adjust two hues so that linear interpolation between them follows the
+ * requested CSS hue interpolation method.
+ * @param {number} h1 - The starting hue in degrees.
+ * @param {number} h2 - The ending hue in degrees.
+ * @param {string} method - One of HUE_METHODS.
+ * @returns {number[]} The adjusted [h1, h2].
+ */
+function fixupHues(h1, h2, method) {
+  const diff = h2 - h1;
+  switch (method) {
+    case 'longer':
+      if (diff > 0 && diff < 180) h1 += 360;
+      else if (diff > -180 && diff <= 0) h2 += 360;
+      break;
+    case 'increasing':
+      if (h2 < h1) h2 += 360;
+      break;
+    case 'decreasing':
+      if (h1 < h2) h1 += 360;
+      break;
+    default:
+      if (diff > 180) h1 += 360;
+      else if (diff < -180) h2 += 360;
+  }
+  return [h1, h2];
+}
+
+/**
+ * Mix two colors in the given interpolation space, matching CSS `color-mix()`
+ * and transitions: alpha is interpolated separately and the other components
+ * are premultiplied by it (hue excluded).
+ * @param {number[]} start - The starting [r, g, b, a] color.
+ * @param {number[]} end - The ending [r, g, b, a] color.
+ * @param {number} factor - The interpolation factor (may be outside 0-1).
+ * @param {string} [space='srgb'] - One of COLOR_SPACES.
+ * @param {string} [hueMethod='shorter'] - One of HUE_METHODS, used for oklch.
+ * @returns {number[]} The mixed [r, g, b, a] color.
+ */
+export function mixColors(start, end, factor, space = 'srgb', hueMethod = 'shorter') {
+  const from = toColorSpace(start, space);
+  const to = toColorSpace(end, space);
+  const alpha = clamp(from[3] + (to[3] - from[3]) * factor, 0, 1);
+
+  if (space === 'oklch') {
+    // A powerless hue takes on the hue of the other color
+    if (Number.isNaN(from[2])) from[2] = to[2];
+    if (Number.isNaN(to[2])) to[2] = from[2];
+    if (!Number.isNaN(from[2])) {
+      [from[2], to[2]] = fixupHues(from[2], to[2], hueMethod);
+    }
+  }
+
+  const coords = [0, 1, 2].map(i => {
+    const isHue = space === 'oklch' && i === 2;
+    if (isHue) return from[2] + (to[2] - from[2]) * factor;
+    if (alpha === 0) return 0;
+    const startPremultiplied = from[i] * from[3];
+    const endPremultiplied = to[i] * to[3];
+    return (startPremultiplied + (endPremultiplied - startPremultiplied) * factor) / alpha;
+  });
+
+  return fromColorSpace([...coords, alpha], space);
+}
@@ -0,0 +1,186 @@
+/**
+ * Helpers used by TweenCalculator to combine keyframe values with the
+ * underlying value of a property: relative values (`+=20px`, `*=1.5`,
+ * `rotate(+=90deg)`) and the Web Animations `add` composite operation.
+ */
+
+import { parseTerms, resolveTerms, serializeTerms } from './units.js';
+import { parseColor } from './color.js';
+import { tokenize } from './lists.js';
+
+/**
+ * The supported composite operations.
+ * @type {string[]}
+ */
+export const COMPOSITE_OPERATIONS = ['replace', 'add', 'accumulate'];
+
+const RELATIVE_REGEX = /^([+\-*])=\s*(.+)$/;
+
+/**
+ * Check whether a keyframe value contains a relative part.
+ * @param {*} value - The keyframe value.
+ * @returns {boolean} True for values like `+=20px` or `rotate(+=90deg)`.
+ */
+export function isRelative(value) {
+  return typeof value === 'string' && /(^|[\s(,])[+\-*]=/.test(value);
+}
+
+/**
+ * Add two term sums unit by unit.
+ * @param {Object<string, number>} a - The first terms.
+ * @param {Object<string, number>} b - The second terms.
+ * @param {number} [sign=1] - -1 to subtract b.
+ * @returns {Object<string, number>|null} The sum, or null if a plain number is mixed with dimensions.
+ */
+function addTerms(a, b, sign = 1) {
+  const result = { ...a };
+  for (const [unit, value] of Object.entries(b)) {
+    result[unit] = (result[unit] || 0) + sign * value;
+  }
+  // A unitless zero is the neutral value of every unit
+  if (result[''] === 0 && Object.keys(result).length > 1) delete result[''];
+  return '' in result && Object.keys(result).length > 1 ? null : result;
+}
+
+/**
+ * Resolve a single relative value against a base value.
+ * @param {string} value - The value, e.g. `+=20px`, `-=1em` or `*=1.5`.
+ * @param {*} base - The base value. Missing bases count as `fallback`.
+ * @param {function(number): string} format - Formats a number.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @param {string} [fallback='0'] - The base used when none is given.
+ * @returns {string} The resolved value, or the base when the value can't be combined with it.
+ */
+function resolveRelativeValue(value, base, format, resolve, fallback = '0') {
+  const match = String(value).trim().match(RELATIVE_REGEX);
+  if (!match) return value;
+
+  const [, operator, operand] = match;
+  const baseText = base === undefined || base === null || base === '' ? fallback : base;
+  const baseTerms = parseTerms(baseText);
+  if (!baseTerms) return baseText;
+
+  if (operator === '*') {
+    const scale = parseFloat(operand);
+    if (Number.isNaN(scale)) return baseText;
+    const scaled = {};
+    for (const [unit, amount] of Object.entries(baseTerms)) scaled[unit] = amount * scale;
+    return serializeTerms(scaled, format);
+  }
+
+  const operandTerms = parseTerms(operand);
+  const sum = operandTerms && addTerms(
+    resolveTerms(baseTerms, resolve),
+    resolveTerms(operandTerms, resolve),
+    operator === '-' ? -1 : 1
+  );
+  return sum ? serializeTerms(sum, format) : baseText;
+}
+
+/**
+ * Split a function list (transform or filter) into names and argument lists.
+ * @param {string} value - The function list.
+ * @returns {Array<{name: string, args: string[]}>} The functions.
+ */
+function parseFunctions(value) {
+  const functions = [];
+  if (typeof value !== 'string') return functions;
+  for (const [, name, body] of value.matchAll(/([\w-]+)\(([^()]*)\)/g)) {
+    functions.push({ name, args: body.trim() === '' ? [] : body.trim().split(/\s*,\s*|\s+/) });
+  }
+  return functions;
+}
+
+/**
+ * Resolve the relative parts of a keyframe value against the underlying value.
+ * A whole value (`+=20px`) is combined with the underlying value; a function argument
+ * (`rotate(+=90deg)`) is combined with the same argument of the underlying function of
+ * that name, or with its identity (0, or 1 for scales) when there is none.
+ * @param {*} value - The keyframe value.
+ * @param {*} underlying - The underlying value.
+ * @param {function(number): string} format - Formats a number.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @returns {*} The absolute value.
+ */
+export function resolveRelative(value, underlying, format, resolve) {
+  if (!isRelative(value)) return value;
+  if (RELATIVE_REGEX.test(value.trim())) return resolveRelativeValue(value, underlying, format, resolve);
+
+  const baseFunctions = parseFunctions(underlying);
+  let index = 0;
+  return value.replace(/([\w-]+)\(([^()]*)\)/g, (text, name, body) => {
+    const position = index++;
+    if (!isRelative(body)) return text;
+
+    const base = baseFunctions[position] && baseFunctions[position].name === name
+      ? baseFunctions[position]
+      : baseFunctions.find(fn => fn.name === name);
+    const identity = /^scale|^(brightness|contrast|opacity|saturate)$/.test(name) ? '1' : '0';
+    const args = body.trim().split(/\s*,\s*/).map((arg, i) =>
+      resolveRelativeValue(arg, base && base.args[i], format, resolve, identity)
+    );
+    return `${name}(${args.join(', ')})`;
+  });
+}
+
+/**
+ * Add a keyframe value to the underlying value, for the `add` and `accumulate` composite
+ * operations on numbers, lengths, colors and lists of them.
+ * @param {*} underlying - The underlying value.
+ * @param {*} value - The keyframe value.
+ * @param {function(number): string} format - Formats a number.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @returns {string|null} The sum, or null if the values can't be added.
+ */
+export function addValues(underlying, value, format, resolve) {
+  const underlyingTerms = parseTerms(underlying);
+  const valueTerms = parseTerms(value);
+  if (underlyingTerms && valueTerms) {
+    const sum = addTerms(resolveTerms(underlyingTerms, resolve), resolveTerms(valueTerms, resolve));
+    return sum && serializeTerms(sum, format);
+  }
+
+  // Colors add channel by channel, clamped to the sRGB gamut
+  const underlyingColor = parseColor(underlying);
+  const valueColor = parseColor(value);
+  if (underlyingColor && valueColor) {
+    const [r, g, b] = underlyingColor.slice(0, 3).map((channel, i) => Math.round(Math.min(255, channel + valueColor[i])));
+    const alpha = Math.min(1, underlyingColor[3] + valueColor[3]);
+    return alpha < 1 ? `rgba(${r},${g},${b},${format(alpha)})` : `rgb(${r},${g},${b})`;
+  }
+
+  // Lists with the same shape add token by token
+  const underlyingLayers = tokenize(underlying);
+  const valueLayers = tokenize(value);
+  if (underlyingLayers.length < 1 || underlyingLayers.length !== valueLayers.length) return null;
+  if (underlyingLayers.length === 1 && underlyingLayers[0].length === 1) return null;
+
+  const layers = [];
+  for (let i = 0; i < underlyingLayers.length; i++) {
+    if (underlyingLayers[i].length !== valueLayers[i].length) return null;
+    const tokens = [];
+    for (let j = 0; j < underlyingLayers[i].length; j++) {
+      const a = underlyingLayers[i][j];
+      const b = valueLayers[i][j];
+      const token = a === b && !parseTerms(a) && !parseColor(a) ? a : addValues(a, b, format, resolve);
+      if (token === null) return null;
+      tokens.push(token);
+    }
+    layers.push(tokens.join(' '));
+  }
+  return layers.join(', ');
+}
+
+/**
+ * Append a function list (transform or filter) to the underlying one, for the `add`
+ * composite operation.
+ * @param {string} underlying - The underlying function list.
+ * @param {string} value - The keyframe function list.
+ * @returns {string} The combined list.
+ */
+export function appendFunctions(underlying, value) {
+  const isNone = (list) => list === undefined || list === null || String(list).trim() === '' || String(list).trim() === 'none';
+  if (isNone(underlying)) return value;
+  if (isNone(value)) return underlying;
+  return `${String(underlying).trim()} ${String(value).trim()}`;
+}
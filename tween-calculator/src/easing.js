@@ -0,0 +1,252 @@
+/**
+ * CSS easing function parsing used by TweenCalculator.
+ * Every parsed easing is a function mapping an input progress to an output
+ * progress. Inputs outside 0-1 are extrapolated the way CSS does, so physics
+ * overshoot keeps working on eased segments.
+ */
+
+/**
+ * Control points of the named cubic-bezier keywords.
+ * @type {Object<string, number[]>}
+ */
+const NAMED_BEZIERS = {
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+/**
+ * Parsed easing functions keyed by their source string.
+ * @type {Map<string, function(number): number>}
+ */
+const cache = new Map();
+
+/**
+ * The identity easing.
+ * @param {number} t - Input progress.
+ * @returns {number} The same progress.
+ */
+export const linear = (t) => t;
+
+/**
+ * Create a cubic Bézier easing function, as defined by CSS `cubic-bezier()`.
+ * @param {number} x1 - X of the first control point (0-1).
+ * @param {number} y1 - Y of the first control point.
+ * @param {number} x2 - X of the second control point (0-1).
+ * @param {number} y2 - Y of the second control point.
+ * @returns {function(number): number} The easing function.
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+    throw new Error('cubic-bezier() x values must be between 0 and 1.');
+  }
+
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = (t) => ((ax * t + bx) * t + cx) * t;
+  const sampleY = (t) => ((ay * t + by) * t + cy) * t;
+  const sampleDerivativeX = (t) => (3 * ax * t + 2 * bx) * t + cx;
+
+  const solveX = (x) => {
+    // Newton-Raphson first, falling back to bisection
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-7) return t;
+      const derivative = sampleDerivativeX(t);
+      if (Math.abs(derivative) < 1e-6) break;
+      t -= error / derivative;
+    }
+
+    let lower = 0;
+    let upper = 1;
+    t = x;
+    while (lower < upper) {
+      const value = sampleX(t);
+      if (Math.abs(value - x) < 1e-7) return t;
+      if (x > value) lower = t;
+      else upper = t;
+      if (upper - lower < 1e-7) break;
+      t = (upper + lower) / 2;
+    }
+    return t;
+  };
+
+  // Tangents used to extrapolate linearly outside 0-1
+  let startSlope = 0;
+  if (x1 > 0) startSlope = y1 / x1;
+  else if (y1 === 0 && x2 > 0) startSlope = y2 / x2;
+
+  let endSlope = 0;
+  if (x2 < 1) endSlope = (y2 - 1) / (x2 - 1);
+  else if (y2 === 1 && x1 < 1) endSlope = (y1 - 1) / (x1 - 1);
+
+  return (x) => {
+    if (x <= 0) return startSlope * x;
+    if (x >= 1) return 1 + endSlope * (x - 1);
+    return sampleY(solveX(x));
+  };
+}
+
+/**
+ * Create a step easing function, as defined by CSS `steps()`.
+ * @param {number} count - The number of steps (a positive integer).
+ * @param {string} [position='jump-end'] - jump-start, jump-end, jump-none, jump-both, start or end.
+ * @returns {function(number): number} The easing function.
+ */
+export function steps(count, position = 'jump-end') {
+  const jumps = {
+    start: count,
+    end: count,
+    'jump-start': count,
+    'jump-end': count,
+    'jump-both': count + 1,
+    'jump-none': count - 1
+  }[position];
+
+  if (!Number.isInteger(count) || jumps === undefined || jumps < 1) {
+    throw new Error(`Invalid steps() easing: steps(${count}, ${position}).`);
+  }
+
+  const jumpsAtStart = ['start', 'jump-start', 'jump-both'].includes(position);
+
+  return (t) => {
+    let step = Math.floor(t * count);
+    if (jumpsAtStart) step += 1;
+    if (t >= 0 && step < 0) step = 0;
+    if (t <= 1 && step > jumps) step = jumps;
+    return step / jumps;
+  };
+}
+
+/**
+ * Create a piecewise linear easing function, as defined by CSS `linear()`.
+ * @param {Array<{value: number, input: (number|undefined)}>} points - Output values with
+ *   optional input positions (0-1). Missing positions are spread evenly.
+ * @returns {function(number): number} The easing function.
+ */
+export function linearPoints(points) {
+  if (points.length < 2) {
+    throw new Error('linear() easing needs at least two points.');
+  }
+
+  const stops = points.map(point => ({ ...point }));
+  if (stops[0].input === undefined) stops[0].input = 0;
+  if (stops[stops.length - 1].input === undefined) stops[stops.length - 1].input = 1;
+
+  // Inputs never go backwards
+  let largest = stops[0].input;
+  for (const stop of stops) {
+    if (stop.input !== undefined) {
+      stop.input = Math.max(stop.input, largest);
+      largest = stop.input;
+    }
+  }
+
+  // Spread runs of missing inputs evenly between their neighbours
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].input !== undefined) continue;
+    let next = i;
+    while (stops[next].input === undefined) next++;
+    const from = stops[i - 1].input;
+    const span = (stops[next].input - from) / (next - i + 1);
+    for (let j = i; j < next; j++) {
+      stops[j].input = from + span * (j - i + 1);
+    }
+  }
+
+  const lerp = (a, b, t) => {
+    if (b.input === a.input) return b.value;
+    return a.value + (b.value - a.value) * (t - a.input) / (b.input - a.input);
+  };
+
+  return (t) => {
+    if (t <= stops[0].input) return lerp(stops[0], stops[1], t);
+    const last = stops.length - 1;
+    if (t >= stops[last].input) return lerp(stops[last - 1], stops[last], t);
+
+    for (let i = last; i > 0; i--) {
+      if (t >= stops[i - 1].input) return lerp(stops[i - 1], stops[i], t);
+    }
+    return stops[0].value;
+  };
+}
+
+/**
+ * Parse the argument list of a `linear()` easing.
+ * @param {string} body - The text between the parentheses.
+ * @returns {Array<{value: number, input: (number|undefined)}>} The points.
+ */
+function parseLinearPoints(body) {
+  const points = [];
+  for (const entry of body.split(',')) {
+    const [value, ...inputs] = entry.trim().split(/\s+/);
+    if (inputs.length > 2 || Number.isNaN(parseFloat(value))) {
+      throw new Error(`Invalid linear() easing point: ${entry.trim()}.`);
+    }
+    const positions = inputs.map(input => {
+      if (!input.endsWith('%')) throw new Error(`linear() positions must be percentages: ${input}.`);
+      return parseFloat(input) / 100;
+    });
+    if (positions.length === 0) {
+      points.push({ value: parseFloat(value), input: undefined });
+    }
+    for (const input of positions) {
+      points.push({ value: parseFloat(value), input });
+    }
+  }
+  return points;
+}
+
+/**
+ * Resolve an easing value into a function.
+ * Accepts a function, a named keyword (linear, ease, ease-in, ease-out,
+ * ease-in-out, step-start, step-end), `cubic-bezier(x1, y1, x2, y2)`,
+ * `steps(n[, position])` or `linear(...)`.
+ * @param {string|function(number): number} [easing='linear'] - The easing to resolve.
+ * @returns {function(number): number} The easing function.
+ * @throws {Error} If the easing string is not recognized.
+ */
+export function parseEasing(easing = 'linear') {
+  if (typeof easing === 'function') return easing;
+  if (typeof easing !== 'string') {
+    throw new Error('Easing must be a string or a function.');
+  }
+
+  const source = easing.trim().toLowerCase();
+  if (cache.has(source)) return cache.get(source);
+
+  let fn;
+  const match = source.match(/^([a-z-]+)\((.*)\)$/);
+  if (source === 'linear') {
+    fn = linear;
+  } else if (NAMED_BEZIERS[source]) {
+    fn = cubicBezier(...NAMED_BEZIERS[source]);
+  } else if (source === 'step-start') {
+    fn = steps(1, 'jump-start');
+  } else if (source === 'step-end') {
+    fn = steps(1, 'jump-end');
+  } else if (match && match[1] === 'cubic-bezier') {
+    const args = match[2].split(',').map(Number);
+    if (args.length !== 4 || args.some(Number.isNaN)) {
+      throw new Error(`Invalid easing: ${easing}.`);
+    }
+    fn = cubicBezier(...args);
+  } else if (match && match[1] === 'steps') {
+    const [count, position] = match[2].split(',').map(arg => arg.trim());
+    fn = steps(Number(count), position);
+  } else if (match && match[1] === 'linear') {
+    fn = linearPoints(parseLinearPoints(match[2]));
+  } else {
+    throw new Error(`Invalid easing: ${easing}.`);
+  }
+
+  cache.set(source, fn);
+  return fn;
+}
@@ -0,0 +1,297 @@
+/**
+ * Converters from CSS `@keyframes` (and `@property`) text and Web Animations keyframes into the
+ * `{ percent, styles, easing }` keyframe model used by TweenCalculator.
+ */
+
+/**
+ * Convert a kebab-case CSS property to the camelCase form used by element.style.
+ * Custom properties (`--name`) are returned unchanged.
+ * @param {string} prop - The property name.
+ * @returns {string} The camelCase property name.
+ */
+export function camelCase(prop) {
+  const name = prop.trim();
+  if (name.startsWith('--')) return name;
+  return name.replace(/^-ms-/, 'ms-').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Split a string on a separator, ignoring separators nested inside parentheses or quotes.
+ * @param {string} text - The text to split.
+ * @param {string} separator - A single separator character.
+ * @returns {string[]} The parts, trimmed, with empty parts removed.
+ */
+export function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Find the text between a `{` and its matching `}`.
+ * @param {string} text - The text to search.
+ * @param {number} open - The index of the opening brace.
+ * @returns {number} The index of the matching closing brace.
+ * @throws {Error} If the braces are unbalanced.
+ */
+function findClosingBrace(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return i;
+  }
+  throw new Error('Unbalanced braces in @keyframes CSS.');
+}
+
+/**
+ * Convert a keyframe selector (`from`, `to` or a percentage) to a percent.
+ * @param {string} selector - The keyframe selector.
+ * @returns {number} The percent (0-100).
+ * @throws {Error} If the selector is not valid.
+ */
+function selectorToPercent(selector) {
+  const value = selector.trim().toLowerCase();
+  if (value === 'from') return 0;
+  if (value === 'to') return 100;
+  const match = value.match(/^(-?\d*\.?\d+)%$/);
+  if (!match) {
+    throw new Error(`Invalid keyframe selector: ${selector}.`);
+  }
+  return parseFloat(match[1]);
+}
+
+/**
+ * Parse the declarations inside a keyframe block.
+ * @param {string} block - The declarations, e.g. `opacity: 0; transform: scale(0.9)`.
+ * @returns {{styles: Object, easing: (string|undefined), composite: (string|undefined)}} The styles and
+ *   the keyframe's timing function and composite operation.
+ */
+function parseDeclarations(block) {
+  const styles = {};
+  let easing;
+  let composite;
+
+  for (const declaration of splitTopLevel(block, ';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) continue;
+
+    const prop = declaration.slice(0, colon).trim();
+    // Declarations marked !important are ignored inside keyframes
+    if (/!\s*important\s*$/i.test(declaration)) continue;
+    const value = declaration.slice(colon + 1).trim();
+
+    if (prop.toLowerCase() === 'animation-timing-function') {
+      easing = value;
+    } else if (prop.toLowerCase() === 'animation-composition') {
+      composite = value;
+    } else {
+      styles[camelCase(prop)] = value;
+    }
+  }
+
+  return { styles, easing, composite };
+}
+
+/**
+ * Add a keyframe to a list, merging it into an existing keyframe with the same
+ * percent, easing and composite operation the way CSS cascades duplicate selectors.
+ * @param {Object[]} keyframes - The list to add to.
+ * @param {Object} keyframe - The keyframe to add.
+ */
+function mergeKeyframe(keyframes, keyframe) {
+  const existing = keyframes.find(kf =>
+    kf.percent === keyframe.percent && kf.easing === keyframe.easing && kf.composite === keyframe.composite
+  );
+  if (existing) {
+    Object.assign(existing.styles, keyframe.styles);
+  } else {
+    keyframes.push(keyframe);
+  }
+}
+
+/**
+ * Matches a CSS `@property` rule, capturing its name and descriptors.
+ * @type {RegExp}
+ */
+const PROPERTY_RULE_REGEX = /@property\s+(--[\w-]+)\s*\{([^{}]*)\}/g;
+
+/**
+ * Parse CSS `@keyframes` text into TweenCalculator keyframes.
+ * The text may be a full stylesheet, a single `@keyframes` rule or just the
+ * rule's body (`from { ... } 50% { ... } to { ... }`).
+ * @param {string} text - The CSS text.
+ * @param {string} [name] - The name of the `@keyframes` rule to use. Defaults to the first rule.
+ * @returns {Object[]} The keyframes, sorted by percent.
+ * @throws {Error} If the named rule is missing or the CSS cannot be parsed.
+ */
+export function parseCSSKeyframes(text, name) {
+  const css = String(text).replace(/\/\*[\s\S]*?\*\//g, '').replace(PROPERTY_RULE_REGEX, '');
+
+  let body = css;
+  const ruleRegex = /@(?:-webkit-)?keyframes\s+([^\s{]+)\s*\{/g;
+  let match;
+  let found = false;
+  while ((match = ruleRegex.exec(css)) !== null) {
+    const ruleName = match[1].replace(/^["']|["']$/g, '');
+    if (name === undefined || ruleName === name) {
+      const open = match.index + match[0].length - 1;
+      body = css.slice(open + 1, findClosingBrace(css, open));
+      found = true;
+      break;
+    }
+  }
+  if (!found && name !== undefined) {
+    throw new Error(`@keyframes ${name} not found.`);
+  }
+
+  const keyframes = [];
+  const blockRegex = /([^{}]+)\{([^{}]*)\}/g;
+  while ((match = blockRegex.exec(body)) !== null) {
+    const { styles, easing, composite } = parseDeclarations(match[2]);
+    for (const selector of match[1].split(',')) {
+      const keyframe = { percent: selectorToPercent(selector), styles: { ...styles } };
+      if (easing !== undefined) keyframe.easing = easing;
+      if (composite !== undefined) keyframe.composite = composite;
+      mergeKeyframe(keyframes, keyframe);
+    }
+  }
+
+  return keyframes.sort((a, b) => a.percent - b.percent);
+}
+
+/**
+ * Parse the `@property` rules of CSS text.
+ * @param {string} text - The CSS text.
+ * @returns {Object<string, {syntax: string, inherits: boolean, initialValue: (string|undefined)}>}
+ *   The registrations keyed by custom property name, in the form taken by `CSS.registerProperty()`.
+ */
+export function parsePropertyRules(text) {
+  const css = String(text).replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = {};
+
+  for (const [, name, block] of css.matchAll(PROPERTY_RULE_REGEX)) {
+    const rule = { syntax: '*', inherits: false, initialValue: undefined };
+    for (const declaration of splitTopLevel(block, ';')) {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) continue;
+      const descriptor = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).trim();
+
+      if (descriptor === 'syntax') rule.syntax = value.replace(/^["']|["']$/g, '');
+      else if (descriptor === 'inherits') rule.inherits = value.toLowerCase() === 'true';
+      else if (descriptor === 'initial-value') rule.initialValue = value;
+    }
+    rules[name] = rule;
+  }
+
+  return rules;
+}
+
+/**
+ * Fill in missing Web Animations offsets: the first and last keyframes default
+ * to 0 and 1 and runs of missing offsets are spaced evenly between their neighbours.
+ * @param {Array<number|null|undefined>} offsets - The offsets as authored.
+ * @returns {number[]} The computed offsets.
+ */
+function distributeOffsets(offsets) {
+  const computed = offsets.map(offset => (offset === null || offset === undefined ? undefined : Number(offset)));
+  if (computed.length === 1 && computed[0] === undefined) return [1];
+  if (computed[0] === undefined) computed[0] = 0;
+  if (computed[computed.length - 1] === undefined) computed[computed.length - 1] = 1;
+
+  for (let i = 1; i < computed.length; i++) {
+    if (computed[i] !== undefined) continue;
+    let next = i;
+    while (computed[next] === undefined) next++;
+    const from = computed[i - 1];
+    const span = (computed[next] - from) / (next - i + 1);
+    for (let j = i; j < next; j++) {
+      computed[j] = from + span * (j - i + 1);
+    }
+  }
+
+  return computed;
+}
+
+/**
+ * Expand a property-indexed keyframes object (`{ opacity: [0, 1], easing: 'ease' }`)
+ * into an array of keyframe objects.
+ * @param {Object} indexed - The property-indexed keyframes.
+ * @returns {Object[]} Keyframe objects with `offset` set.
+ */
+function expandPropertyIndexed(indexed) {
+  const { offset, easing, composite, ...properties } = indexed;
+  const byOffset = new Map();
+
+  for (const [prop, rawValues] of Object.entries(properties)) {
+    const values = Array.isArray(rawValues) ? rawValues : [rawValues];
+    const offsets = distributeOffsets(values.map(() => undefined));
+    values.forEach((value, i) => {
+      const at = offsets[i];
+      if (!byOffset.has(at)) byOffset.set(at, { offset: at });
+      byOffset.get(at)[prop] = value;
+    });
+  }
+
+  const frames = [...byOffset.values()].sort((a, b) => a.offset - b.offset);
+  const pick = (list, i) => (Array.isArray(list) ? list[i % list.length] : list);
+  frames.forEach((frame, i) => {
+    if (Array.isArray(offset) && offset[i] !== undefined) frame.offset = offset[i];
+    if (easing !== undefined) frame.easing = pick(easing, i);
+    if (composite !== undefined) frame.composite = pick(composite, i);
+  });
+
+  return frames;
+}
+
+/**
+ * Convert Web Animations keyframes (as passed to `element.animate()` or
+ * returned by `KeyframeEffect.getKeyframes()`) into TweenCalculator keyframes.
+ * Accepts both the array form and the property-indexed object form.
+ * @param {Object[]|Object} keyframes - The Web Animations keyframes.
+ * @returns {Object[]} The keyframes, sorted by percent.
+ */
+export function convertKeyframeEffect(keyframes) {
+  const frames = Array.isArray(keyframes) ? keyframes : expandPropertyIndexed(keyframes);
+  const offsets = distributeOffsets(frames.map(frame => frame.offset));
+
+  const converted = [];
+  frames.forEach((frame, i) => {
+    // computedOffset comes from getKeyframes() and is not a style
+    const { offset, computedOffset, easing, composite, ...properties } = frame;
+    const styles = {};
+    for (const [prop, value] of Object.entries(properties)) {
+      const name = prop === 'cssFloat' ? 'float' : prop === 'cssOffset' ? 'offset' : camelCase(prop);
+      styles[name] = value;
+    }
+
+    const keyframe = { percent: offsets[i] * 100, styles };
+    if (easing !== undefined && easing !== 'linear') keyframe.easing = easing;
+    // 'auto' defers to the effect's composite operation
+    if (composite !== undefined && composite !== 'auto') keyframe.composite = composite;
+    converted.push(keyframe);
+  });
+
+  return converted.sort((a, b) => a.percent - b.percent);
+}
@@ -0,0 +1,140 @@
+/**
+ * Tokenizing helpers used by TweenCalculator to interpolate multi-value
+ * properties (margin, border-radius, background-position, box-shadow,
+ * clip-path basic shapes...) component by component.
+ */
+
+import { splitTopLevel } from './keyframes.js';
+import { parseColor } from './color.js';
+
+/**
+ * Properties made of 1-4 box values (top, right, bottom, left), in camelCase.
+ * @type {string[]}
+ */
+export const BOX_PROPERTIES = [
+  'margin', 'padding', 'inset', 'borderWidth', 'borderRadius',
+  'scrollMargin', 'scrollPadding', 'borderImageWidth', 'borderImageOutset'
+];
+
+/**
+ * Properties holding `<position>` values, in camelCase.
+ * @type {string[]}
+ */
+export const POSITION_PROPERTIES = [
+  'backgroundPosition', 'objectPosition', 'maskPosition', 'transformOrigin', 'perspectiveOrigin'
+];
+
+/**
+ * Properties holding shadow lists, in camelCase.
+ * @type {string[]}
+ */
+export const SHADOW_PROPERTIES = ['boxShadow', 'textShadow'];
+
+/**
+ * Split a value into comma-separated layers of space-separated tokens.
+ * Commas and spaces inside functions (e.g. `rgba(0, 0, 0, 0.5)`) are kept in one token.
+ * @param {string} value - The value to split.
+ * @returns {string[][]} The layers, each an array of tokens.
+ */
+export function tokenize(value) {
+  const normalized = String(value).replace(/\s+/g, ' ').trim();
+  if (normalized === '') return [];
+  return splitTopLevel(normalized, ',').map(layer => splitTopLevel(layer, ' '));
+}
+
+/**
+ * Split a CSS function token into its name and argument text.
+ * @param {string} token - The token, e.g. `circle(50% at 0 0)`.
+ * @returns {{name: string, body: string}|null} The name and body, or null if the token is not a function.
+ */
+export function parseFunction(token) {
+  const match = token.match(/^([\w-]+)\(([\s\S]*)\)$/);
+  return match ? { name: match[1], body: match[2] } : null;
+}
+
+/**
+ * Expand 1-4 box values to four, following the margin/padding shorthand rules.
+ * Lists split by `/` (border-radius) or `round` (inset()) are expanded on each side.
+ * @param {string[]} tokens - The box tokens.
+ * @returns {string[]} The expanded tokens.
+ */
+export function expandBox(tokens) {
+  const separator = tokens.findIndex(token => token === '/' || token === 'round');
+  if (separator !== -1) {
+    return [...expandBox(tokens.slice(0, separator)), tokens[separator], ...expandBox(tokens.slice(separator + 1))];
+  }
+
+  const [top, right = top, bottom = top, left = right] = tokens;
+  return tokens.length > 0 && tokens.length <= 4 ? [top, right, bottom, left] : tokens;
+}
+
+/**
+ * Horizontal and vertical positions of the position keywords.
+ * @type {Object<string, string[]>}
+ */
+const POSITION_KEYWORDS = {
+  left: ['0%', null],
+  right: ['100%', null],
+  top: [null, '0%'],
+  bottom: [null, '100%'],
+  center: ['50%', '50%']
+};
+
+/**
+ * Convert one- and two-value positions (`left top`, `center`, `right 20%`) into
+ * `x y` percentages or lengths. Three- and four-value positions are returned unchanged.
+ * @param {string[]} tokens - The position tokens.
+ * @returns {string[]} The normalized `[x, y]` tokens.
+ */
+export function normalizePosition(tokens) {
+  if (tokens.length === 0 || tokens.length > 2) return tokens;
+
+  let [first, second = 'center'] = tokens;
+  // A vertical keyword may come first (`top left`)
+  if (first === 'top' || first === 'bottom' || (first === 'center' && (second === 'left' || second === 'right'))) {
+    [first, second] = [second, first];
+  }
+
+  const x = POSITION_KEYWORDS[first] ? POSITION_KEYWORDS[first][0] : first;
+  const y = POSITION_KEYWORDS[second] ? POSITION_KEYWORDS[second][1] : second;
+  return x === null || y === null ? tokens : [x, y];
+}
+
+/**
+ * Parse a box-shadow or text-shadow value into layers.
+ * @param {string} value - The shadow value (`none` yields no layers).
+ * @returns {Array<{inset: boolean, lengths: string[], color: (string|null)}>|null} The layers,
+ *   or null if a layer can't be parsed.
+ */
+export function parseShadow(value) {
+  const text = String(value).trim();
+  if (text === '' || text === 'none') return [];
+
+  const layers = [];
+  for (const tokens of tokenize(text)) {
+    const layer = { inset: false, lengths: [], color: null };
+    for (const token of tokens) {
+      if (token === 'inset') {
+        layer.inset = true;
+      } else if (parseColor(token)) {
+        layer.color = token;
+      } else if (/^[+-]?(\d*\.?\d+)([a-z%]*)$/i.test(token) || /^calc\(/i.test(token)) {
+        layer.lengths.push(token);
+      } else {
+        return null;
+      }
+    }
+    if (layer.lengths.length < 2 || layer.lengths.length > 4) return null;
+    layers.push(layer);
+  }
+  return layers;
+}
+
+/**
+ * Create a transparent zero shadow used to pad the shorter shadow list.
+ * @param {Object} counterpart - The layer on the other side.
+ * @returns {Object} The padding layer.
+ */
+export function emptyShadow(counterpart) {
+  return { inset: counterpart.inset, lengths: counterpart.lengths.map(() => '0px'), color: 'transparent' };
+}
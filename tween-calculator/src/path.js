@@ -0,0 +1,344 @@
+/**
+ * SVG shape morphing helpers used by TweenCalculator.
+ * Path data is normalized to absolute cubic Bézier segments so any two paths
+ * can be matched segment for segment and interpolated number by number.
+ *
+ * A normalized path is an array of subpaths:
+ * `{ start: [x, y], curves: [[c1x, c1y, c2x, c2y, x, y], ...], closed }`.
+ */
+
+const PARAMETER_COUNTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+/**
+ * Read path data into a list of commands with their numeric parameters.
+ * Arc flags may be written without separators (`a1 1 0 00 1 1`), as the SVG grammar allows.
+ * @param {string} d - The path data.
+ * @returns {Array<{command: string, params: number[]}>} The commands.
+ * @throws {Error} If the path data is malformed.
+ */
+function readCommands(d) {
+  const commands = [];
+  const number = /^[\s,]*([+-]?(?:\d*\.\d+|\d+\.?)(?:e[+-]?\d+)?)/i;
+  const flag = /^[\s,]*([01])/;
+  let rest = d.trim();
+
+  while (rest.length) {
+    const commandMatch = rest.match(/^\s*([mlhvcsqtaz])/i);
+    if (!commandMatch) throw new Error(`Invalid path data near: ${rest.slice(0, 20)}`);
+    const command = commandMatch[1];
+    rest = rest.slice(commandMatch[0].length);
+
+    const count = PARAMETER_COUNTS[command.toLowerCase()];
+    if (count === 0) {
+      commands.push({ command, params: [] });
+      continue;
+    }
+
+    // A command letter may be followed by several parameter sets
+    let first = true;
+    for (;;) {
+      const params = [];
+      for (let i = 0; i < count; i++) {
+        const isFlag = command.toLowerCase() === 'a' && (i === 3 || i === 4);
+        const match = rest.match(isFlag ? flag : number);
+        if (!match) break;
+        params.push(parseFloat(match[1]));
+        rest = rest.slice(match[0].length);
+      }
+      if (params.length === 0 && !first) break;
+      if (params.length !== count) throw new Error(`Invalid parameters for path command ${command}.`);
+
+      // Extra pairs after a moveto are implicit linetos
+      const implicit = !first && command.toLowerCase() === 'm' ? (command === 'm' ? 'l' : 'L') : command;
+      commands.push({ command: implicit, params });
+      first = false;
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * Convert a straight line into a cubic segment.
+ * @param {number[]} from - The start point.
+ * @param {number[]} to - The end point.
+ * @returns {number[]} The cubic segment.
+ */
+function lineToCubic([x1, y1], [x2, y2]) {
+  return [x1 + (x2 - x1) / 3, y1 + (y2 - y1) / 3, x1 + (x2 - x1) * 2 / 3, y1 + (y2 - y1) * 2 / 3, x2, y2];
+}
+
+/**
+ * Convert an elliptical arc into cubic segments (SVG implementation notes F.6.5).
+ * @param {number[]} from - The start point.
+ * @param {number[]} params - The arc parameters: rx, ry, rotation, large-arc flag, sweep flag, x, y.
+ * @returns {number[][]} The cubic segments, at most one per 90 degrees of arc.
+ */
+function arcToCubics(from, [rx, ry, rotation, largeArc, sweep, x2, y2]) {
+  const [x1, y1] = from;
+  if (rx === 0 || ry === 0) return [lineToCubic(from, [x2, y2])];
+  if (x1 === x2 && y1 === y2) return [];
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const phi = rotation * Math.PI / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  // Scale up radii that are too small to reach the end point
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = coefficient * rx * y1p / ry;
+  const cyp = coefficient * -ry * x1p / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const handle = 4 / 3 * Math.tan(step / 4);
+  const map = (u, v) => [cx + rx * cos * u - ry * sin * v, cy + rx * sin * u + ry * cos * v];
+
+  const cubics = [];
+  for (let i = 0; i < segments; i++) {
+    const a1 = theta + i * step;
+    const a2 = a1 + step;
+    const c1 = map(Math.cos(a1) - handle * Math.sin(a1), Math.sin(a1) + handle * Math.cos(a1));
+    const c2 = map(Math.cos(a2) + handle * Math.sin(a2), Math.sin(a2) - handle * Math.cos(a2));
+    const end = i === segments - 1 ? [x2, y2] : map(Math.cos(a2), Math.sin(a2));
+    cubics.push([...c1, ...c2, ...end]);
+  }
+  return cubics;
+}
+
+/**
+ * Parse path data into absolute cubic subpaths.
+ * @param {string} d - The path data, optionally wrapped in `path("...")`.
+ * @returns {Object[]} The normalized subpaths.
+ * @throws {Error} If the path data is malformed.
+ */
+export function parsePath(d) {
+  const subpaths = [];
+  let current = null;
+  let point = [0, 0];
+  let lastControl = null;
+  let lastQuadratic = null;
+
+  for (const { command, params } of readCommands(unwrapPath(d))) {
+    const relative = command === command.toLowerCase();
+    const type = command.toUpperCase();
+    const abs = (values) => values.map((v, i) => (relative ? v + point[i % 2] : v));
+    let control = null;
+    let quadratic = null;
+
+    if (type === 'M') {
+      point = abs(params);
+      current = { start: point, curves: [], closed: false };
+      subpaths.push(current);
+    } else if (type === 'Z') {
+      if (current) {
+        const [sx, sy] = current.start;
+        if (point[0] !== sx || point[1] !== sy) current.curves.push(lineToCubic(point, current.start));
+        current.closed = true;
+        point = current.start;
+        // Drawing after a closepath starts a new subpath at the same point
+        current = null;
+      }
+    } else {
+      if (!current) {
+        current = { start: point, curves: [], closed: false };
+        subpaths.push(current);
+      }
+
+      let curves;
+      if (type === 'L') {
+        curves = [lineToCubic(point, abs(params))];
+      } else if (type === 'H') {
+        curves = [lineToCubic(point, [relative ? point[0] + params[0] : params[0], point[1]])];
+      } else if (type === 'V') {
+        curves = [lineToCubic(point, [point[0], relative ? point[1] + params[0] : params[0]])];
+      } else if (type === 'C') {
+        curves = [abs(params)];
+      } else if (type === 'S') {
+        const reflected = lastControl ? [2 * point[0] - lastControl[0], 2 * point[1] - lastControl[1]] : point;
+        curves = [[...reflected, ...abs(params)]];
+      } else if (type === 'Q' || type === 'T') {
+        let q;
+        let end;
+        if (type === 'Q') {
+          [q, end] = [abs(params.slice(0, 2)), abs(params.slice(2))];
+        } else {
+          q = lastQuadratic ? [2 * point[0] - lastQuadratic[0], 2 * point[1] - lastQuadratic[1]] : point;
+          end = abs(params);
+        }
+        quadratic = q;
+        curves = [[
+          point[0] + (q[0] - point[0]) * 2 / 3, point[1] + (q[1] - point[1]) * 2 / 3,
+          end[0] + (q[0] - end[0]) * 2 / 3, end[1] + (q[1] - end[1]) * 2 / 3,
+          ...end
+        ]];
+      } else {
+        const end = relative ? [params[5] + point[0], params[6] + point[1]] : params.slice(5);
+        curves = arcToCubics(point, [...params.slice(0, 5), ...end]);
+      }
+
+      for (const curve of curves) current.curves.push(curve);
+      if (curves.length) {
+        const last = curves[curves.length - 1];
+        point = [last[4], last[5]];
+        if (type === 'C' || type === 'S') control = [last[2], last[3]];
+      }
+    }
+
+    lastControl = control;
+    lastQuadratic = quadratic;
+  }
+
+  return subpaths;
+}
+
+/**
+ * Strip a CSS `path("...")` wrapper from path data.
+ * @param {string} d - The path data.
+ * @returns {string} The bare path data.
+ */
+export function unwrapPath(d) {
+  const match = String(d).trim().match(/^path\(\s*(["'])([\s\S]*)\1\s*\)$/i);
+  return match ? match[2] : String(d);
+}
+
+/**
+ * Split a cubic segment at t with de Casteljau's algorithm.
+ * @param {number[]} from - The segment's start point.
+ * @param {number[]} curve - The cubic segment.
+ * @param {number} t - Where to split (0-1).
+ * @returns {number[][]} The two halves.
+ */
+function splitCubic([x0, y0], [x1, y1, x2, y2, x3, y3], t) {
+  const mix = (a, b) => a + (b - a) * t;
+  const [ax, ay, bx, by, cx, cy] = [mix(x0, x1), mix(y0, y1), mix(x1, x2), mix(y1, y2), mix(x2, x3), mix(y2, y3)];
+  const [dx, dy, ex, ey] = [mix(ax, bx), mix(ay, by), mix(bx, cx), mix(by, cy)];
+  const [fx, fy] = [mix(dx, ex), mix(dy, ey)];
+  return [[ax, ay, dx, dy, fx, fy], [ex, ey, cx, cy, x3, y3]];
+}
+
+/**
+ * Subdivide a subpath's longest segments until it has the requested number of segments.
+ * @param {Object} subpath - The subpath.
+ * @param {number} count - The number of segments wanted.
+ * @returns {Object} A new subpath with `count` segments.
+ */
+function subdivide(subpath, count) {
+  const curves = subpath.curves.slice();
+  if (curves.length === 0) {
+    // A bare moveto becomes zero-length segments at its point
+    const [x, y] = subpath.start;
+    while (curves.length < count) curves.push([x, y, x, y, x, y]);
+    return { ...subpath, curves };
+  }
+
+  while (curves.length < count) {
+    // Approximate lengths by the control polygon
+    let longest = 0;
+    let longestLength = -1;
+    curves.forEach((curve, i) => {
+      const from = i === 0 ? subpath.start : curves[i - 1].slice(4);
+      const length = Math.hypot(curve[0] - from[0], curve[1] - from[1]) +
+        Math.hypot(curve[2] - curve[0], curve[3] - curve[1]) +
+        Math.hypot(curve[4] - curve[2], curve[5] - curve[3]);
+      if (length > longestLength) {
+        longest = i;
+        longestLength = length;
+      }
+    });
+    const from = longest === 0 ? subpath.start : curves[longest - 1].slice(4);
+    curves.splice(longest, 1, ...splitCubic(from, curves[longest], 0.5));
+  }
+  return { ...subpath, curves };
+}
+
+/**
+ * Make two normalized paths structurally identical: the same number of
+ * subpaths, each with the same number of segments.
+ * @param {Object[]} from - The starting subpaths.
+ * @param {Object[]} to - The ending subpaths.
+ * @returns {Object[][]} The matched [from, to] subpaths.
+ */
+export function matchPaths(from, to) {
+  const pad = (subpaths, count) => {
+    const padded = subpaths.slice();
+    // Missing subpaths collapse to the end point of the last one
+    const last = padded[padded.length - 1];
+    const point = last ? (last.curves.length ? last.curves[last.curves.length - 1].slice(4) : last.start) : [0, 0];
+    while (padded.length < count) padded.push({ start: point, curves: [], closed: false });
+    return padded;
+  };
+
+  const count = Math.max(from.length, to.length);
+  const a = pad(from, count);
+  const b = pad(to, count);
+
+  for (let i = 0; i < count; i++) {
+    const segments = Math.max(a[i].curves.length, b[i].curves.length);
+    a[i] = subdivide(a[i], segments);
+    b[i] = subdivide(b[i], segments);
+  }
+  return [a, b];
+}
+
+/**
+ * Parse an SVG `points` list into [x, y] pairs.
+ * @param {string} points - The points, e.g. `0,0 10,0 5,10`.
+ * @returns {number[][]} The points.
+ */
+export function parsePoints(points) {
+  const numbers = (String(points).match(/[+-]?(?:\d*\.\d+|\d+\.?)(?:e[+-]?\d+)?/gi) || []).map(Number);
+  const pairs = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) pairs.push([numbers[i], numbers[i + 1]]);
+  return pairs;
+}
+
+/**
+ * Insert points on the longest edges of a polygon until it has `count` points.
+ * @param {number[][]} points - The points.
+ * @param {number} count - The number of points wanted.
+ * @returns {number[][]} The new points.
+ */
+export function padPoints(points, count) {
+  const padded = points.slice();
+  if (padded.length === 0) return padded;
+
+  while (padded.length < count) {
+    let longest = 0;
+    let longestLength = -1;
+    for (let i = 0; i < padded.length; i++) {
+      const next = padded[(i + 1) % padded.length];
+      const length = Math.hypot(next[0] - padded[i][0], next[1] - padded[i][1]);
+      if (length > longestLength) {
+        longest = i;
+        longestLength = length;
+      }
+    }
+    const a = padded[longest];
+    const b = padded[(longest + 1) % padded.length];
+    padded.splice(longest + 1, 0, [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]);
+  }
+  return padded;
+}
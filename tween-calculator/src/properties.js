@@ -0,0 +1,120 @@
+/**
+ * Property types used by TweenCalculator to decide how a property is
+ * interpolated, and the mapping from CSS `@property` syntax strings to them.
+ */
+
+/**
+ * The property types that can be registered.
+ * - 'discrete': the value switches halfway between keyframes
+ * - 'number': a plain number
+ * - 'length': a number with a unit (lengths, percentages, angles, times...), mixed units go through `calc()`
+ * - 'color': a color, mixed in the tween's color space
+ * - 'transform-list': a transform function list
+ * - 'list': a space/comma-separated list interpolated component by component
+ * @type {string[]}
+ */
+export const PROPERTY_TYPES = ['discrete', 'number', 'length', 'color', 'transform-list', 'list'];
+
+/**
+ * Properties that are never interpolated, in camelCase.
+ * @type {string[]}
+ */
+export const DISCRETE_PROPERTIES = [
+  // Layout
+  'display', 'position', 'float', 'clear', 'visibility', 'overflow', 'overflowX', 'overflowY',
+
+  // Flexbox and Grid
+  'flexDirection', 'flexWrap', 'justifyContent', 'alignItems', 'alignContent', 'order',
+  'gridTemplateColumns', 'gridTemplateRows', 'gridTemplateAreas', 'gridAutoFlow',
+
+  // Positioning
+  'zIndex',
+
+  // Table
+  'tableLayout', 'emptyCells', 'captionSide',
+
+  // List
+  'listStyleType', 'listStylePosition',
+
+  // Miscellaneous
+  'pointerEvents', 'userSelect', 'boxSizing', 'resize',
+
+  // Text and Font
+  'textAlign', 'textTransform', 'whiteSpace', 'wordBreak', 'wordWrap', 'fontStyle', 'fontWeight', 'fontVariant',
+
+  // Background
+  'backgroundRepeat', 'backgroundAttachment',
+
+  // Border
+  'borderStyle', 'borderCollapse',
+
+  // Generated content
+  'content',
+
+  // Paged media
+  'pageBreakBefore', 'pageBreakAfter', 'pageBreakInside'
+];
+
+/**
+ * Property types of the `@property` syntax components that can be interpolated.
+ * @type {Object<string, string>}
+ */
+const SYNTAX_TYPES = {
+  '<number>': 'number',
+  '<integer>': 'number',
+  '<length>': 'length',
+  '<percentage>': 'length',
+  '<length-percentage>': 'length',
+  '<angle>': 'length',
+  '<time>': 'length',
+  '<resolution>': 'length',
+  '<color>': 'color',
+  '<transform-function>': 'transform-list',
+  '<transform-list>': 'transform-list'
+};
+
+/**
+ * Create the interpolator of two values that can't be interpolated. Like CSS discrete
+ * animation, it holds the start value until halfway and the end value from there.
+ * @param {*} start - The starting value.
+ * @param {*} end - The ending value.
+ * @returns {function(number): *} The interpolator.
+ */
+export function discreteInterpolator(start, end) {
+  return (factor) => (factor < 0.5 ? start : end);
+}
+
+/**
+ * Convert a CSS `@property` syntax string to a property type.
+ * Lists of an interpolable component (`<length>+`, `<color>#`) interpolate component by
+ * component; the universal syntax `*`, keywords and combinations with `|` are discrete.
+ * @param {string} syntax - The syntax, e.g. `'<angle>'`.
+ * @returns {string} The property type.
+ */
+export function syntaxToType(syntax) {
+  const value = String(syntax).trim().replace(/^["']|["']$/g, '').trim();
+  if (SYNTAX_TYPES[value]) return SYNTAX_TYPES[value];
+
+  const list = value.match(/^(<[\w-]+>)[+#]$/);
+  if (list && SYNTAX_TYPES[list[1]] && SYNTAX_TYPES[list[1]] !== 'transform-list') return 'list';
+
+  return 'discrete';
+}
+
+/**
+ * Resolve a property definition to a property type.
+ * @param {string|function|Object} definition - A property type, an interpolator function
+ *   `(start, end, factor) => value`, or a `{ syntax }` object as passed to `CSS.registerProperty()`.
+ * @returns {string|function} The property type or interpolator function.
+ * @throws {Error} If the definition is not valid.
+ */
+export function resolvePropertyType(definition) {
+  if (typeof definition === 'function') return definition;
+  if (definition && typeof definition === 'object' && 'syntax' in definition) {
+    return syntaxToType(definition.syntax);
+  }
+  if (!PROPERTY_TYPES.includes(definition)) {
+    throw new Error(`Property type must be a function, a { syntax } object or one of: ${PROPERTY_TYPES.join(', ')}.`);
+  }
+  return definition;
+}
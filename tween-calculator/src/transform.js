@@ -0,0 +1,832 @@
+/**
+ * CSS transform list interpolation used by TweenCalculator, following the
+ * CSS Transforms Level 2 rules: matching functions are interpolated pairwise
+ * by position, and whatever does not match is converted to a matrix,
+ * decomposed, interpolated (quaternion slerp for 3D rotation) and recomposed.
+ *
+ * Transform functions are represented as `{ name, args: [{ value, unit }] }`.
+ * Arguments mixing units (`calc(50% + 10px)`) also carry their terms, see units.js.
+ * Matrices are 16-element arrays in column-major order, like `matrix3d()`.
+ */
+
+import { parseTerms, resolveTerms, interpolateTerms } from './units.js';
+import { tokenize } from './lists.js';
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Parse a transform string into an ordered list of transform functions.
+ * Duplicate functions are kept, so `translateX(10px) rotate(45deg) translateX(10px)`
+ * yields three entries.
+ * @param {string} transform - The transform string (`none` yields an empty list).
+ * @returns {Object[]} The transform functions in order.
+ */
+export function parseTransformList(transform) {
+  const list = [];
+  if (transform === undefined || transform === null) return list;
+
+  // Arguments can hold one level of nested functions, e.g. calc()
+  const regex = /([\w-]+)\(((?:[^()]|\([^()]*\))*)\)/g;
+  let match;
+  while ((match = regex.exec(String(transform))) !== null) {
+    const [, name, body] = match;
+    const args = tokenize(body).flat().map(arg => {
+      const terms = parseTerms(arg);
+      return terms ? fromTerms(terms) : { value: arg === 'none' ? Infinity : 0, unit: '' };
+    });
+    list.push({ name, args });
+  }
+  return list;
+}
+
+/**
+ * Get an argument as terms keyed by unit.
+ * @param {Object} arg - An argument with value and unit (and terms for a `calc()` sum).
+ * @returns {Object<string, number>} The terms.
+ */
+function toTerms(arg) {
+  return arg.terms || { [arg.unit]: arg.value };
+}
+
+/**
+ * Create an argument from terms: a plain value and unit, or a `calc()` sum with unit 'calc'.
+ * @param {Object<string, number>} terms - The terms keyed by unit.
+ * @returns {Object} The argument.
+ */
+function fromTerms(terms) {
+  const units = Object.keys(terms);
+  return units.length === 1 ? { value: terms[units[0]], unit: units[0] } : { value: NaN, unit: 'calc', terms };
+}
+
+/**
+ * Convert an angle to degrees.
+ * @param {Object} arg - An argument with value and unit.
+ * @returns {number|null} The angle in degrees, or null for a non-angle unit.
+ */
+function toDegrees({ value, unit }) {
+  switch (unit) {
+    case '':
+    case 'deg':
+      return value;
+    case 'rad':
+      return value * 180 / Math.PI;
+    case 'grad':
+      return value * 0.9;
+    case 'turn':
+      return value * 360;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a length to pixels. Absolute lengths always resolve; relative ones only through the resolver.
+ * @param {Object} arg - An argument with value and unit.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px, see units.js.
+ * @returns {number|null} The length in px, or null if it depends on layout.
+ */
+function toPixels(arg, resolve) {
+  if (arg.unit === '') return arg.value;
+  const terms = resolveTerms(toTerms(arg), resolve);
+  const units = Object.keys(terms);
+  return units.length === 1 && units[0] === 'px' ? terms.px : null;
+}
+
+/**
+ * Convert a scale factor, which may be a percentage, to a number.
+ * @param {Object} arg - An argument with value and unit.
+ * @returns {number} The scale factor.
+ */
+function toScale({ value, unit }) {
+  return unit === '%' ? value / 100 : value;
+}
+
+const px = (value) => ({ value, unit: 'px' });
+const num = (value) => ({ value, unit: '' });
+const deg = (value) => ({ value, unit: 'deg' });
+
+/**
+ * Describe a transform function by its interpolation family, with its
+ * arguments expanded to the family's full form.
+ * @param {Object} fn - A transform function.
+ * @returns {{family: string, args: Object[], is3d: boolean}} The primitive description.
+ */
+function toPrimitive({ name, args }) {
+  const [a, b, c, d] = args;
+  switch (name) {
+    case 'translate':
+      return { family: 'translate', args: [a, b || px(0), px(0)], is3d: false };
+    case 'translateX':
+      return { family: 'translate', args: [a, px(0), px(0)], is3d: false };
+    case 'translateY':
+      return { family: 'translate', args: [px(0), a, px(0)], is3d: false };
+    case 'translateZ':
+      return { family: 'translate', args: [px(0), px(0), a], is3d: true };
+    case 'translate3d':
+      return { family: 'translate', args: [a, b, c], is3d: true };
+    case 'scale':
+      return { family: 'scale', args: [a, b || a, num(1)], is3d: false };
+    case 'scaleX':
+      return { family: 'scale', args: [a, num(1), num(1)], is3d: false };
+    case 'scaleY':
+      return { family: 'scale', args: [num(1), a, num(1)], is3d: false };
+    case 'scaleZ':
+      return { family: 'scale', args: [num(1), num(1), a], is3d: true };
+    case 'scale3d':
+      return { family: 'scale', args: [a, b, c], is3d: true };
+    case 'rotate':
+    case 'rotateZ':
+      return { family: 'rotate', args: [a], is3d: false };
+    case 'rotate3d':
+      return { family: 'rotate3d', args: [a, b, c, d], is3d: true };
+    case 'skew':
+      return { family: 'skew', args: [a, b || deg(0)], is3d: false };
+    case 'skewX':
+      return { family: 'skew', args: [a, deg(0)], is3d: false };
+    case 'skewY':
+      return { family: 'skew', args: [deg(0), a], is3d: false };
+    case 'matrix':
+    case 'matrix3d':
+      return { family: 'matrix', args, is3d: name === 'matrix3d' };
+    default:
+      return { family: name, args, is3d: true };
+  }
+}
+
+/**
+ * Create the identity function matching a transform function, used when the
+ * other side of the interpolation is `none`.
+ * @param {Object} fn - A transform function.
+ * @returns {Object} The identity transform function.
+ */
+function identityFor({ name, args }) {
+  if (name === 'matrix') return { name, args: [1, 0, 0, 1, 0, 0].map(num) };
+  if (name === 'matrix3d') return { name, args: IDENTITY.map(num) };
+  if (name === 'perspective') return { name, args: [num(Infinity)] };
+  if (name === 'rotate3d') return { name, args: [...args.slice(0, 3), deg(0)] };
+  if (name.startsWith('scale')) return { name, args: args.map(() => num(1)) };
+  return { name, args: args.map(arg => ({ value: 0, unit: arg.terms ? 'px' : arg.unit })) };
+}
+
+/**
+ * Compile the interpolator of two single arguments.
+ * Angles are compared in degrees. Other mixed units go through units.js, like other lengths:
+ * unitless zero adopts the other side's unit, the resolver converts what it can to px, and
+ * the rest is interpolated as a `calc()` sum.
+ * @param {Object} from - The starting argument.
+ * @param {Object} to - The ending argument.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @returns {function(number): Object|null} The interpolator, or null if the units are incompatible.
+ */
+function compileArg(from, to, resolve) {
+  if (from.unit === to.unit && !from.terms) {
+    return (t) => ({ value: lerp(from.value, to.value, t), unit: from.unit });
+  }
+
+  const fromDeg = toDegrees(from);
+  const toDeg = toDegrees(to);
+  if (fromDeg !== null && toDeg !== null) return (t) => deg(lerp(fromDeg, toDeg, t));
+
+  const start = resolveTerms(toTerms(from), resolve);
+  const end = resolveTerms(toTerms(to), resolve);
+  if (!interpolateTerms(start, end, 0)) return null;
+  return (t) => fromTerms(interpolateTerms(start, end, t));
+}
+
+/**
+ * Compile the interpolator of two argument lists, pairwise.
+ * @param {Object[]} from - The starting arguments.
+ * @param {Object[]} to - The ending arguments.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @returns {function(number): Object[]|null} The interpolator, or null if any pair is incompatible.
+ */
+function compileArgs(from, to, resolve) {
+  if (from.length !== to.length) return null;
+  const args = from.map((arg, i) => compileArg(arg, to[i], resolve));
+  if (args.includes(null)) return null;
+  return (t) => args.map(arg => arg(t));
+}
+
+/**
+ * Normalize a rotate3d() axis so two rotations about the same axis can be compared.
+ * @param {Object[]} args - The rotate3d() arguments.
+ * @returns {number[]|null} The unit axis, or null for a zero axis.
+ */
+function normalizedAxis(args) {
+  const axis = args.slice(0, 3).map(arg => arg.value);
+  const length = Math.hypot(...axis);
+  return length === 0 ? null : axis.map(v => v / length);
+}
+
+/**
+ * Compile the interpolator of a pair of transform functions that share a primitive.
+ * @param {Object} from - The starting function.
+ * @param {Object} to - The ending function.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @returns {function(number): Object|null} The interpolator, or null if the pair must go through matrices.
+ */
+function compilePair(from, to, resolve) {
+  if (from.name === to.name && from.args.length === to.args.length) {
+    if (from.name === 'matrix' || from.name === 'matrix3d') return null;
+
+    if (from.name === 'perspective') {
+      // Perspective distances are interpolated through their inverse, where none is 0
+      if (toPixels(from.args[0], resolve) === null || toPixels(to.args[0], resolve) === null) return null;
+      const inverse = (arg) => (arg.value === Infinity ? 0 : 1 / toPixels(arg, resolve));
+      const fromInverse = inverse(from.args[0]);
+      const toInverse = inverse(to.args[0]);
+      return (t) => {
+        const value = lerp(fromInverse, toInverse, t);
+        return { name: 'perspective', args: [value <= 0 ? num(Infinity) : px(1 / value)] };
+      };
+    }
+
+    if (from.name === 'rotate3d') {
+      const fromAxis = normalizedAxis(from.args);
+      const toAxis = normalizedAxis(to.args);
+      if (!fromAxis || !toAxis || fromAxis.some((v, i) => Math.abs(v - toAxis[i]) > 1e-6)) return null;
+      const angle = compileArg(from.args[3], to.args[3], resolve);
+      const axis = fromAxis.map(num);
+      return angle && ((t) => ({ name: 'rotate3d', args: [...axis, angle(t)] }));
+    }
+
+    const args = compileArgs(from.args, to.args, resolve);
+    return args && ((t) => ({ name: from.name, args: args(t) }));
+  }
+
+  const fromPrimitive = toPrimitive(from);
+  const toPrimitiveFn = toPrimitive(to);
+  if (fromPrimitive.family !== toPrimitiveFn.family) return null;
+  if (!['translate', 'scale', 'rotate', 'skew'].includes(fromPrimitive.family)) return null;
+
+  const args = compileArgs(fromPrimitive.args, toPrimitiveFn.args, resolve);
+  if (!args) return null;
+
+  const is3d = fromPrimitive.is3d || toPrimitiveFn.is3d;
+  switch (fromPrimitive.family) {
+    case 'translate':
+      return is3d ? (t) => ({ name: 'translate3d', args: args(t) }) : (t) => ({ name: 'translate', args: args(t).slice(0, 2) });
+    case 'scale':
+      return is3d ? (t) => ({ name: 'scale3d', args: args(t) }) : (t) => ({ name: 'scale', args: args(t).slice(0, 2) });
+    default:
+      return (t) => ({ name: fromPrimitive.family, args: args(t) });
+  }
+}
+
+/**
+ * Multiply two 4x4 column-major matrices (a × b).
+ * @param {number[]} a - The left matrix.
+ * @param {number[]} b - The right matrix.
+ * @returns {number[]} The product.
+ */
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+/**
+ * Invert a 4x4 matrix with Gauss-Jordan elimination.
+ * @param {number[]} m - The matrix.
+ * @returns {number[]|null} The inverse, or null if the matrix is singular.
+ */
+function invert(m) {
+  // Work on rows of [m | I] (row-major copy)
+  const rows = [0, 1, 2, 3].map(r => [0, 1, 2, 3].map(c => m[c * 4 + r]).concat([0, 1, 2, 3].map(c => (c === r ? 1 : 0))));
+  for (let col = 0; col < 4; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 4; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    const divisor = rows[col][col];
+    for (let c = 0; c < 8; c++) rows[col][c] /= divisor;
+    for (let r = 0; r < 4; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col];
+      for (let c = 0; c < 8; c++) rows[r][c] -= factor * rows[col][c];
+    }
+  }
+  const out = new Array(16);
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 4; c++) out[c * 4 + r] = rows[r][c + 4];
+  }
+  return out;
+}
+
+/**
+ * Build the matrix for a rotation about an arbitrary axis.
+ * @param {number} x - Axis x.
+ * @param {number} y - Axis y.
+ * @param {number} z - Axis z.
+ * @param {number} radians - The rotation angle.
+ * @returns {number[]} The rotation matrix.
+ */
+function rotationMatrix(x, y, z, radians) {
+  const length = Math.hypot(x, y, z);
+  if (length === 0) return IDENTITY.slice();
+  [x, y, z] = [x / length, y / length, z / length];
+  const s = Math.sin(radians / 2);
+  return quaternionMatrix([x * s, y * s, z * s, Math.cos(radians / 2)]);
+}
+
+/**
+ * Build the rotation matrix for a unit quaternion.
+ * @param {number[]} quaternion - [x, y, z, w].
+ * @returns {number[]} The rotation matrix.
+ */
+function quaternionMatrix([x, y, z, w]) {
+  return [
+    1 - 2 * (y * y + z * z), 2 * (x * y + z * w), 2 * (x * z - y * w), 0,
+    2 * (x * y - z * w), 1 - 2 * (x * x + z * z), 2 * (y * z + x * w), 0,
+    2 * (x * z + y * w), 2 * (y * z - x * w), 1 - 2 * (x * x + y * y), 0,
+    0, 0, 0, 1
+  ];
+}
+
+/**
+ * Convert a single transform function to a matrix.
+ * @param {Object} fn - The transform function.
+ * @returns {number[]|null} The matrix, or null if it depends on layout (e.g. percentages).
+ */
+function functionToMatrix(fn, resolve) {
+  const { name, args } = fn;
+  const m = IDENTITY.slice();
+  const primitive = toPrimitive(fn);
+
+  switch (primitive.family) {
+    case 'translate': {
+      const [x, y, z] = primitive.args.map(arg => toPixels(arg, resolve));
+      if (x === null || y === null || z === null) return null;
+      m[12] = x;
+      m[13] = y;
+      m[14] = z;
+      return m;
+    }
+    case 'scale': {
+      const [x, y, z] = primitive.args.map(toScale);
+      m[0] = x;
+      m[5] = y;
+      m[10] = z;
+      return m;
+    }
+    case 'rotate':
+      return rotationMatrix(0, 0, 1, toDegrees(args[0]) * Math.PI / 180);
+    case 'rotate3d':
+      return rotationMatrix(args[0].value, args[1].value, args[2].value, toDegrees(args[3]) * Math.PI / 180);
+    case 'skew': {
+      const [ax, ay] = primitive.args.map(arg => toDegrees(arg) * Math.PI / 180);
+      m[1] = Math.tan(ay);
+      m[4] = Math.tan(ax);
+      return m;
+    }
+    case 'matrix': {
+      const values = args.map(arg => arg.value);
+      if (name === 'matrix') {
+        const [a, b, c, d, e, f] = values;
+        return [a, b, 0, 0, c, d, 0, 0, 0, 0, 1, 0, e, f, 0, 1];
+      }
+      return values.length === 16 ? values : null;
+    }
+    default:
+      break;
+  }
+
+  switch (name) {
+    case 'rotateX':
+      return rotationMatrix(1, 0, 0, toDegrees(args[0]) * Math.PI / 180);
+    case 'rotateY':
+      return rotationMatrix(0, 1, 0, toDegrees(args[0]) * Math.PI / 180);
+    case 'perspective': {
+      const distance = args[0].value === Infinity ? Infinity : toPixels(args[0], resolve);
+      if (distance === null) return null;
+      m[11] = distance === Infinity ? 0 : -1 / Math.max(distance, 1);
+      return m;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Combine a list of transform functions into a single matrix.
+ * @param {Object[]} list - The transform functions.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @returns {number[]|null} The matrix, or null if any function cannot be resolved.
+ */
+function listToMatrix(list, resolve) {
+  let m = IDENTITY.slice();
+  for (const fn of list) {
+    const fnMatrix = functionToMatrix(fn, resolve);
+    if (!fnMatrix) return null;
+    m = multiply(m, fnMatrix);
+  }
+  return m;
+}
+
+/**
+ * Check whether a matrix only uses the 2D components.
+ * @param {number[]} m - The matrix.
+ * @returns {boolean} True for a 2D matrix.
+ */
+function is2D(m) {
+  return [2, 3, 6, 7, 8, 9, 11, 14].every(i => m[i] === 0) && m[10] === 1 && m[15] === 1;
+}
+
+/**
+ * Decompose a 2D matrix (CSS Transforms Level 1 "unmatrix" for 2D).
+ * @param {number[]} m - A 2D matrix.
+ * @returns {Object} The translate, scale, angle and residual 2x2 matrix.
+ */
+function decompose2D(m) {
+  let [row0x, row0y, row1x, row1y] = [m[0], m[1], m[4], m[5]];
+  const translate = [m[12], m[13]];
+  const scale = [Math.hypot(row0x, row0y), Math.hypot(row1x, row1y)];
+
+  // If the determinant is negative, one axis was flipped
+  if (row0x * row1y - row0y * row1x < 0) {
+    if (row0x < row1y) scale[0] = -scale[0];
+    else scale[1] = -scale[1];
+  }
+
+  if (scale[0]) {
+    row0x /= scale[0];
+    row0y /= scale[0];
+  }
+  if (scale[1]) {
+    row1x /= scale[1];
+    row1y /= scale[1];
+  }
+
+  const angle = Math.atan2(row0y, row0x);
+  if (angle) {
+    const sn = -row0y;
+    const cs = row0x;
+    [row0x, row0y, row1x, row1y] = [
+      cs * row0x + sn * row1x,
+      cs * row0y + sn * row1y,
+      -sn * row0x + cs * row1x,
+      -sn * row0y + cs * row1y
+    ];
+  }
+
+  return { translate, scale, angle: angle * 180 / Math.PI, matrix: [row0x, row0y, row1x, row1y] };
+}
+
+/**
+ * Compile the interpolator of two decomposed 2D matrices. Flips and the direction of the
+ * rotation are settled once, so each frame only interpolates the components.
+ * @param {Object} a - The starting decomposition.
+ * @param {Object} b - The ending decomposition.
+ * @returns {function(number): Object} The interpolator, returning a decomposition.
+ */
+function compile2D(a, b) {
+  const scaleA = a.scale.slice();
+  let angleA = a.angle;
+  let angleB = b.angle;
+
+  // A flip on both axes is a rotation by 180deg
+  if ((scaleA[0] < 0 && b.scale[1] < 0) || (scaleA[1] < 0 && b.scale[0] < 0)) {
+    scaleA[0] = -scaleA[0];
+    scaleA[1] = -scaleA[1];
+    angleA += angleA < 0 ? 180 : -180;
+  }
+
+  // Don't rotate the long way around
+  if (!angleA) angleA = 360;
+  if (!angleB) angleB = 360;
+  if (Math.abs(angleA - angleB) > 180) {
+    if (angleA > angleB) angleA -= 360;
+    else angleB -= 360;
+  }
+
+  return (t) => ({
+    translate: a.translate.map((v, i) => lerp(v, b.translate[i], t)),
+    scale: scaleA.map((v, i) => lerp(v, b.scale[i], t)),
+    angle: lerp(angleA, angleB, t),
+    matrix: a.matrix.map((v, i) => lerp(v, b.matrix[i], t))
+  });
+}
+
+/**
+ * Recompose a 2D decomposition into a matrix.
+ * @param {Object} d - The decomposition.
+ * @returns {number[]} The matrix.
+ */
+function recompose2D({ translate, scale, angle, matrix }) {
+  const radians = angle * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const [m11, m12, m21, m22] = matrix;
+
+  // rotation × residual × scale
+  const a = (cos * m11 - sin * m12) * scale[0];
+  const b = (sin * m11 + cos * m12) * scale[0];
+  const c = (cos * m21 - sin * m22) * scale[1];
+  const d = (sin * m21 + cos * m22) * scale[1];
+
+  return [a, b, 0, 0, c, d, 0, 0, 0, 0, 1, 0, translate[0], translate[1], 0, 1];
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const combine = (a, b, scaleA, scaleB) => a.map((v, i) => v * scaleA + b[i] * scaleB);
+const normalize = (v) => {
+  const length = Math.hypot(...v);
+  return length ? v.map(x => x / length) : v;
+};
+
+/**
+ * Decompose a 3D matrix (CSS Transforms Level 2 "unmatrix").
+ * @param {number[]} matrix - The matrix.
+ * @returns {Object|null} The perspective, translate, scale, skew and quaternion, or null if singular.
+ */
+function decompose3D(matrix) {
+  if (matrix[15] === 0) return null;
+  const m = matrix.map(v => v / matrix[15]);
+
+  // The upper 3x3 with translation is used to solve for perspective and to test for singularity
+  const perspectiveMatrix = m.slice();
+  perspectiveMatrix[3] = 0;
+  perspectiveMatrix[7] = 0;
+  perspectiveMatrix[11] = 0;
+  perspectiveMatrix[15] = 1;
+  const inverse = invert(perspectiveMatrix);
+  if (!inverse) return null;
+
+  let perspective = [0, 0, 0, 1];
+  if (m[3] !== 0 || m[7] !== 0 || m[11] !== 0) {
+    const rhs = [m[3], m[7], m[11], m[15]];
+    // perspective = transpose(inverse) × rhs
+    perspective = [0, 1, 2, 3].map(i => rhs.reduce((sum, v, k) => sum + inverse[i * 4 + k] * v, 0));
+  }
+
+  const translate = [m[12], m[13], m[14]];
+  const row = [0, 1, 2].map(col => [m[col * 4], m[col * 4 + 1], m[col * 4 + 2]]);
+  const scale = [0, 0, 0];
+  const skew = [0, 0, 0];
+
+  scale[0] = Math.hypot(...row[0]);
+  row[0] = normalize(row[0]);
+
+  skew[0] = dot(row[0], row[1]);
+  row[1] = combine(row[1], row[0], 1, -skew[0]);
+  scale[1] = Math.hypot(...row[1]);
+  row[1] = normalize(row[1]);
+  skew[0] /= scale[1];
+
+  skew[1] = dot(row[0], row[2]);
+  row[2] = combine(row[2], row[0], 1, -skew[1]);
+  skew[2] = dot(row[1], row[2]);
+  row[2] = combine(row[2], row[1], 1, -skew[2]);
+  scale[2] = Math.hypot(...row[2]);
+  row[2] = normalize(row[2]);
+  skew[1] /= scale[2];
+  skew[2] /= scale[2];
+
+  // Check for a coordinate system flip
+  const cross = [
+    row[1][1] * row[2][2] - row[1][2] * row[2][1],
+    row[1][2] * row[2][0] - row[1][0] * row[2][2],
+    row[1][0] * row[2][1] - row[1][1] * row[2][0]
+  ];
+  if (dot(row[0], cross) < 0) {
+    for (let i = 0; i < 3; i++) {
+      scale[i] = -scale[i];
+      row[i] = row[i].map(v => -v);
+    }
+  }
+
+  const quaternion = [
+    0.5 * Math.sqrt(Math.max(1 + row[0][0] - row[1][1] - row[2][2], 0)),
+    0.5 * Math.sqrt(Math.max(1 - row[0][0] + row[1][1] - row[2][2], 0)),
+    0.5 * Math.sqrt(Math.max(1 - row[0][0] - row[1][1] + row[2][2], 0)),
+    0.5 * Math.sqrt(Math.max(1 + row[0][0] + row[1][1] + row[2][2], 0))
+  ];
+  if (row[2][1] > row[1][2]) quaternion[0] = -quaternion[0];
+  if (row[0][2] > row[2][0]) quaternion[1] = -quaternion[1];
+  if (row[1][0] > row[0][1]) quaternion[2] = -quaternion[2];
+
+  return { perspective, translate, scale, skew, quaternion };
+}
+
+/**
+ * Spherical linear interpolation between two unit quaternions.
+ * Works for factors outside 0-1 as well.
+ * @param {number[]} a - The starting quaternion.
+ * @param {number[]} b - The ending quaternion.
+ * @param {number} t - The interpolation factor.
+ * @returns {number[]} The interpolated quaternion.
+ */
+function slerp(a, b, t) {
+  const product = Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]));
+  if (Math.abs(product) > 1 - 1e-9) return a.slice();
+
+  const theta = Math.acos(product);
+  const w = Math.sin(t * theta) / Math.sqrt(1 - product * product);
+  const scaleA = Math.cos(t * theta) - product * w;
+  return a.map((v, i) => v * scaleA + b[i] * w);
+}
+
+/**
+ * Recompose a 3D decomposition into a matrix.
+ * @param {Object} d - The decomposition.
+ * @returns {number[]} The matrix.
+ */
+function recompose3D({ perspective, translate, scale, skew, quaternion }) {
+  let m = IDENTITY.slice();
+  m[3] = perspective[0];
+  m[7] = perspective[1];
+  m[11] = perspective[2];
+  m[15] = perspective[3];
+
+  const translation = IDENTITY.slice();
+  translation[12] = translate[0];
+  translation[13] = translate[1];
+  translation[14] = translate[2];
+  m = multiply(m, translation);
+  m = multiply(m, quaternionMatrix(normalizeQuaternion(quaternion)));
+
+  // Upper-triangular shear and scale, undoing the Gram-Schmidt steps of decompose3D
+  const shear = IDENTITY.slice();
+  shear[0] = scale[0];
+  shear[4] = scale[1] * skew[0];
+  shear[5] = scale[1];
+  shear[8] = scale[2] * skew[1];
+  shear[9] = scale[2] * skew[2];
+  shear[10] = scale[2];
+  return multiply(m, shear);
+}
+
+const normalizeQuaternion = (q) => {
+  const length = Math.hypot(...q);
+  return length ? q.map(v => v / length) : [0, 0, 0, 1];
+};
+
+/**
+ * Interpolate two matrices by decomposition.
+ * @param {number[]} from - The starting matrix.
+ * @param {number[]} to - The ending matrix.
+ * @param {number} t - The interpolation factor.
+ * @returns {number[]|null} The interpolated matrix, or null if either cannot be decomposed.
+ */
+export function interpolateMatrix(from, to, t) {
+  const interpolate = compileMatrix(from, to);
+  return interpolate && interpolate(t);
+}
+
+/**
+ * Compile the interpolator of two matrices, see interpolateMatrix(). Both are decomposed once.
+ * @param {number[]} from - The starting matrix.
+ * @param {number[]} to - The ending matrix.
+ * @returns {function(number): number[]|null} The interpolator, or null if either cannot be decomposed.
+ */
+export function compileMatrix(from, to) {
+  if (is2D(from) && is2D(to)) {
+    const interpolate = compile2D(decompose2D(from), decompose2D(to));
+    return (t) => recompose2D(interpolate(t));
+  }
+
+  const a = decompose3D(from);
+  const b = decompose3D(to);
+  if (!a || !b) return null;
+
+  return (t) => recompose3D({
+    perspective: a.perspective.map((v, i) => lerp(v, b.perspective[i], t)),
+    translate: a.translate.map((v, i) => lerp(v, b.translate[i], t)),
+    scale: a.scale.map((v, i) => lerp(v, b.scale[i], t)),
+    skew: a.skew.map((v, i) => lerp(v, b.skew[i], t)),
+    quaternion: slerp(a.quaternion, b.quaternion, t)
+  });
+}
+
+/**
+ * Represent a matrix as a `matrix()` or `matrix3d()` transform function.
+ * @param {number[]} m - The matrix.
+ * @returns {Object} The transform function.
+ */
+function matrixFunction(m) {
+  if (is2D(m)) {
+    return { name: 'matrix', args: [m[0], m[1], m[4], m[5], m[12], m[13]].map(num) };
+  }
+  return { name: 'matrix3d', args: m.map(num) };
+}
+
+/**
+ * Interpolate two transform lists.
+ * The longest common prefix of compatible functions is interpolated pairwise;
+ * the remainders are interpolated as matrices. Factors outside 0-1 extrapolate.
+ * @param {Object[]} from - The starting transform functions.
+ * @param {Object[]} to - The ending transform functions.
+ * @param {number} t - The interpolation factor.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px, see units.js.
+ * @returns {Object[]|null} The interpolated transform functions, or null if the lists
+ *   cannot be interpolated (the caller should then switch discretely).
+ */
+export function interpolateTransformLists(from, to, t, resolve) {
+  const interpolate = compileTransformLists(from, to, resolve);
+  return interpolate && interpolate(t);
+}
+
+/**
+ * Compile the interpolator of two transform lists, see interpolateTransformLists().
+ * The lists are matched and the remainders converted to matrices and decomposed once,
+ * so each call only interpolates arguments and decomposed components.
+ * @param {Object[]} from - The starting transform functions.
+ * @param {Object[]} to - The ending transform functions.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px, see units.js.
+ * @returns {function(number): Object[]|null} The interpolator, or null if the lists cannot be interpolated.
+ */
+export function compileTransformLists(from, to, resolve) {
+  if (from.length === 0) from = to.map(identityFor);
+  if (to.length === 0) to = from.map(identityFor);
+
+  const pairs = [];
+  const count = Math.min(from.length, to.length);
+  while (pairs.length < count) {
+    const pair = compilePair(from[pairs.length], to[pairs.length], resolve);
+    if (!pair) break;
+    pairs.push(pair);
+  }
+
+  const index = pairs.length;
+  if (index === from.length && index === to.length) return (t) => pairs.map(pair => pair(t));
+
+  const fromMatrix = listToMatrix(from.slice(index), resolve);
+  const toMatrix = listToMatrix(to.slice(index), resolve);
+  const matrix = fromMatrix && toMatrix && compileMatrix(fromMatrix, toMatrix);
+  if (!matrix) return null;
+
+  return (t) => [...pairs.map(pair => pair(t)), matrixFunction(matrix(t))];
+}
+
+/**
+ * Add two single arguments with compatible units.
+ * @param {Object} a - The first argument.
+ * @param {Object} b - The second argument.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @returns {Object|null} The sum, or null if the units are incompatible.
+ */
+function addArg(a, b, resolve) {
+  if (a.unit === b.unit && !a.terms) return { value: a.value + b.value, unit: a.unit };
+  if (a.unit === '' && a.value === 0) return b;
+  if (b.unit === '' && b.value === 0) return a;
+
+  const aDeg = toDegrees(a);
+  const bDeg = toDegrees(b);
+  if (aDeg !== null && bDeg !== null) return deg(aDeg + bDeg);
+
+  const aPx = toPixels(a, resolve);
+  const bPx = toPixels(b, resolve);
+  if (aPx !== null && bPx !== null) return px(aPx + bPx);
+
+  return null;
+}
+
+/**
+ * Accumulate a transform list onto an underlying one, for the `accumulate` composite
+ * operation: functions are combined pairwise by adding their arguments, except scale
+ * factors, which combine as `a + b - 1`.
+ * @param {Object[]} underlying - The underlying transform functions.
+ * @param {Object[]} value - The keyframe transform functions.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px, see units.js.
+ * @returns {Object[]|null} The accumulated functions, or null if the lists don't match pairwise.
+ */
+export function accumulateTransformLists(underlying, value, resolve) {
+  if (underlying.length === 0) return value;
+  if (value.length === 0) return underlying;
+  if (underlying.length !== value.length) return null;
+
+  const result = [];
+  for (let i = 0; i < underlying.length; i++) {
+    const from = underlying[i];
+    const to = value[i];
+    if (from.name !== to.name || from.args.length !== to.args.length) return null;
+    if (['matrix', 'matrix3d', 'perspective'].includes(from.name)) return null;
+
+    const args = [];
+    for (let j = 0; j < from.args.length; j++) {
+      // The axis of rotate3d() is kept, only the angle accumulates
+      if (from.name === 'rotate3d' && j < 3) {
+        if (from.args[j].value !== to.args[j].value) return null;
+        args.push(from.args[j]);
+      } else if (from.name.startsWith('scale')) {
+        args.push(num(toScale(from.args[j]) + toScale(to.args[j]) - 1));
+      } else {
+        const arg = addArg(from.args[j], to.args[j], resolve);
+        if (!arg) return null;
+        args.push(arg);
+      }
+    }
+    result.push({ name: from.name, args });
+  }
+  return result;
+}
@@ -1,3 +1,16 @@
+import { parseColor, mixColors, COLOR_SPACES, HUE_METHODS } from './color.js';
+import { parseEasing } from './easing.js';
+import { parseCSSKeyframes, parsePropertyRules, convertKeyframeEffect, camelCase } from './keyframes.js';
+import { parseTransformList, compileTransformLists, accumulateTransformLists } from './transform.js';
+import { createUnitResolver, parseTerms, resolveTerms, interpolateTerms, serializeTerms } from './units.js';
+import {
+  tokenize, parseFunction, expandBox, normalizePosition, parseShadow, emptyShadow,
+  BOX_PROPERTIES, POSITION_PROPERTIES, SHADOW_PROPERTIES
+} from './lists.js';
+import { parsePath, matchPaths, parsePoints, padPoints } from './path.js';
+import { DISCRETE_PROPERTIES, resolvePropertyType, discreteInterpolator } from './properties.js';
+import { COMPOSITE_OPERATIONS, isRelative, resolveRelative, addValues, appendFunctions } from './composite.js';
+
 /**
  * A class to calculate intermediate states (tweens) between keyframes for CSS properties.
  */
@@ -5,62 +18,82 @@ export default class TweenCalculator {
   /**
    * Create a TweenCalculator.
    * @param {Object[]} keyframes - Array of keyframe objects, each containing a percent (0-100) and styles.
+   *   A keyframe may also set `easing` (a CSS easing string or a function), `colorSpace` and
+   *   `hueInterpolation`, which apply to the segment that starts at that keyframe, and `composite`,
+   *   which overrides options.composite for its values.
+   *   Values may be relative to the underlying value: `+=20px`, `-=1em`, `*=1.5` or `rotate(+=90deg)`.
+   * @param {Object} [options] - Tween options.
+   * @param {string} [options.colorSpace='srgb'] - Color interpolation space: 'srgb', 'linear-srgb', 'oklab' or 'oklch'.
+   * @param {string} [options.hueInterpolation='shorter'] - Hue arc used in 'oklch': 'shorter', 'longer', 'increasing' or 'decreasing'.
+   * @param {Object|function} [options.units] - Converts rem/em/vw/vh to px when endpoints use different units,
+   *   see setUnitResolver(). Without it, mixed units are output as `calc()`.
+   * @param {Object} [options.properties] - Property types to register, keyed by property name,
+   *   see registerProperty().
+   * @param {string} [options.composite='replace'] - How keyframe values combine with the underlying
+   *   value passed to calculateTween(): 'replace', 'add' or 'accumulate'.
    */
-  constructor(keyframes) {
-    this.setKeyframes(keyframes);
-    this.discreteProperties = [
-      // Layout
-      'display', 'position', 'float', 'clear', 'visibility', 'overflow', 'overflow-x', 'overflow-y',
-
-      // Flexbox and Grid
-      'flex-direction', 'flex-wrap', 'justify-content', 'align-items', 'align-content', 'order',
-      'grid-template-columns', 'grid-template-rows', 'grid-template-areas', 'grid-auto-flow',
-
-      // Positioning
-      'z-index',
-
-      // Table
-      'table-layout', 'empty-cells', 'caption-side',
-
-      // List
-      'list-style-type', 'list-style-position',
-
-      // Miscellaneous
-      'pointer-events', 'user-select', 'box-sizing', 'resize',
-
-      // Text and Font
-      'text-align', 'text-transform', 'white-space', 'word-break', 'word-wrap', 'font-style', 'font-weight', 'font-variant',
-
-      // Background
-      'background-repeat', 'background-attachment', 'background-position',
+  constructor(keyframes, {
+    colorSpace = 'srgb', hueInterpolation = 'shorter', units = null, properties = {}, composite = 'replace'
+  } = {}) {
+    this.propertyTypes = new Map(DISCRETE_PROPERTIES.map(prop => [prop, 'discrete']));
+    for (const [prop, definition] of Object.entries(properties)) {
+      this.registerProperty(prop, definition);
+    }
 
-      // Border
-      'border-style', 'border-collapse',
+    this.setColorSpace(colorSpace, hueInterpolation);
+    this.setUnitResolver(units);
+    this.setComposite(composite);
+    this.setKeyframes(keyframes);
+  }
 
-      // Generated content
-      'content',
+  /**
+   * Create a TweenCalculator from CSS `@keyframes` text.
+   * `from`/`to`/percentage selectors (including comma-grouped ones) become keyframes,
+   * properties are converted to camelCase and `animation-timing-function` becomes the keyframe easing.
+   * `@property` rules in the text register typed custom properties.
+   * @param {string} css - The CSS text: a stylesheet, a `@keyframes` rule or just its body.
+   * @param {Object} [options] - Options passed to the constructor.
+   * @param {string} [options.name] - The `@keyframes` rule to use when the text contains several.
+   * @returns {TweenCalculator} The new TweenCalculator.
+   */
+  static fromCSS(css, { name, properties = {}, ...options } = {}) {
+    return new TweenCalculator(parseCSSKeyframes(css, name), {
+      ...options,
+      properties: { ...parsePropertyRules(css), ...properties }
+    });
+  }
 
-      // Paged media
-      'page-break-before', 'page-break-after', 'page-break-inside'
-    ];
+  /**
+   * Create a TweenCalculator from Web Animations keyframes, in either the array
+   * form (`[{ opacity: 0 }, { opacity: 1, offset: 0.8, easing: 'ease-out' }]`)
+   * or the property-indexed form (`{ opacity: [0, 1] }`).
+   * @param {Object[]|Object} keyframes - The Web Animations keyframes.
+   * @param {Object} [options] - Options passed to the constructor.
+   * @returns {TweenCalculator} The new TweenCalculator.
+   */
+  static fromKeyframeEffect(keyframes, options = {}) {
+    return new TweenCalculator(convertKeyframeEffect(keyframes), options);
   }
 
   /**
    * Calculate the tween state at a given normalized position.
    * @param {number} position - The normalized position (0-1) at which to calculate the tween. Values outside 0-1 are allowed.
+   * @param {Object} [base] - The underlying styles (e.g. the element's current styles) that relative
+   *   and additive keyframe values are combined with. Without it, relative values are resolved against
+   *   zero (or an identity transform function) and additive values replace.
    * @returns {Object} An object containing the interpolated styles.
    */
-  calculateTween(position) {
+  calculateTween(position, base = null) {
     const interpolatedStyles = {};
 
     // Normalize position to percentage (0-100)
     const percent = position * 100;
 
-    // Iterate through all properties across all keyframes
-    const allProperties = new Set(this.keyframes.flatMap(kf => Object.keys(kf.styles)));
-
-    for (const prop of allProperties) {
-      interpolatedStyles[prop] = this.interpolateProperty(prop, percent);
+    const tracks = this.tracks;
+    for (let i = 0; i < tracks.length; i++) {
+      const track = tracks[i];
+      const underlying = track.dynamic && base ? this.getUnderlyingValue(base, track.prop) : undefined;
+      interpolatedStyles[track.prop] = this.evaluateTrack(track, percent, underlying);
     }
 
     return interpolatedStyles;
@@ -71,88 +104,573 @@ export default class TweenCalculator {
    * Supports extrapolation beyond the first and last keyframes.
    * @param {string} prop - The name of the property to interpolate.
    * @param {number} percent - The position (0-100) at which to interpolate.
+   * @param {*} [underlying] - The underlying value, see calculateTween().
    * @returns {*} The interpolated value of the property.
    */
-  interpolateProperty(prop, percent) {
-    if (this.discreteProperties.includes(prop)) {
-      return this.interpolateDiscreteProperty(prop, percent);
+  interpolateProperty(prop, percent, underlying) {
+    const track = this.trackMap.get(prop);
+    return track ? this.evaluateTrack(track, percent, underlying) : null;
+  }
+
+  /**
+   * Look up the underlying value of a property in a base style object.
+   * @param {Object} base - The base styles, keyed in camelCase or kebab-case.
+   * @param {string} prop - The property name.
+   * @returns {*} The underlying value, or undefined.
+   */
+  getUnderlyingValue(base, prop) {
+    if (prop in base) return base[prop];
+    const name = camelCase(prop);
+    const key = Object.keys(base).find(key => camelCase(key) === name);
+    return key === undefined ? undefined : base[key];
+  }
+
+  /**
+   * Register how a property is interpolated, overriding the type inferred from its name and values.
+   * Names are normalized, so `z-index` and `zIndex` are the same property.
+   * @param {string} prop - The property name, in camelCase or kebab-case, or a `--custom` property.
+   * @param {string|function|Object} definition - One of 'discrete', 'number', 'length', 'color',
+   *   'transform-list' or 'list'; a function `(start, end, factor) => value` (the factor is eased
+   *   and may be outside 0-1 when extrapolating); or a `{ syntax }` object as passed to
+   *   `CSS.registerProperty()`, e.g. `{ syntax: '<angle>' }`.
+   * @throws {Error} If the definition is not valid.
+   */
+  registerProperty(prop, definition) {
+    this.propertyTypes.set(camelCase(prop), resolvePropertyType(definition));
+    if (this.keyframes) this.compileTracks();
+  }
+
+  /**
+   * Remove a registered property type, so the property is interpolated by name and value again.
+   * @param {string} prop - The property name.
+   */
+  unregisterProperty(prop) {
+    this.propertyTypes.delete(camelCase(prop));
+    if (this.keyframes) this.compileTracks();
+  }
+
+  /**
+   * Get the registered type of a property.
+   * Custom properties that were not registered are discrete, as in CSS.
+   * @param {string} prop - The property name.
+   * @returns {string|function|null} The property type or interpolator function, or null when the
+   *   property is interpolated by name and value.
+   */
+  getPropertyType(prop) {
+    const name = camelCase(prop);
+    if (this.propertyTypes.has(name)) return this.propertyTypes.get(name);
+    return name.startsWith('--') ? 'discrete' : null;
+  }
+
+  /**
+   * Compile the keyframes into one track per property.
+   * Each track holds the sorted keyframe percents and, for every pair of neighbouring
+   * keyframes, a segment with its easing and a precompiled interpolator, so evaluating
+   * a frame does no string parsing.
+   */
+  compileTracks() {
+    const framesByProp = new Map();
+    for (const frame of this.keyframes) {
+      for (const prop of Object.keys(frame.styles)) {
+        if (!framesByProp.has(prop)) framesByProp.set(prop, []);
+        framesByProp.get(prop).push(frame);
+      }
     }
 
-    const relevantKeyframes = this.keyframes.filter(kf => prop in kf.styles);
-    if (relevantKeyframes.length === 0) return null;
+    this.tracks = [];
+    for (const [prop, frames] of framesByProp) {
+      this.tracks.push(this.compileTrack(prop, this.addImplicitFrames(prop, frames)));
+    }
+    this.trackMap = new Map(this.tracks.map(track => [track.prop, track]));
+  }
 
-    const firstFrame = relevantKeyframes[0];
-    const lastFrame = relevantKeyframes[relevantKeyframes.length - 1];
+  /**
+   * Fill the keyframes a property is missing at 0% and 100% from an element's current style,
+   * like Web Animations implicit keyframes. Call it when the animation starts, so it continues
+   * from wherever a previous (possibly interrupted) animation left the element.
+   * Inline styles are preferred over the computed style, since they keep the authored units
+   * (e.g. a transform with percentages rather than its computed matrix).
+   * @param {Element|Object|null} source - The element, a style object keyed by property name,
+   *   or null to remove the implicit keyframes.
+   */
+  fillImplicitKeyframes(source) {
+    this.implicitStyles = null;
 
-    if (percent < firstFrame.percent) {
-      return this.handleExtrapolation(prop, percent, firstFrame, relevantKeyframes[1] || firstFrame, 'below');
-    } else if (percent > lastFrame.percent) {
-      return this.handleExtrapolation(prop, percent, relevantKeyframes[relevantKeyframes.length - 2] || lastFrame, lastFrame, 'above');
-    } else {
-      const { startFrame, endFrame } = this.findSurroundingKeyframes(relevantKeyframes, percent);
-      return this.handleInterpolation(prop, percent, startFrame, endFrame);
+    if (source) {
+      const isElement = typeof Element !== 'undefined' && source instanceof Element;
+      const computed = isElement ? window.getComputedStyle(source) : null;
+      const read = (prop) => {
+        if (!isElement) return this.getUnderlyingValue(source, prop);
+        if (prop.startsWith('--')) {
+          return source.style.getPropertyValue(prop).trim() || computed.getPropertyValue(prop).trim();
+        }
+        const name = camelCase(prop);
+        return source.style[name] || computed[name];
+      };
+
+      this.implicitStyles = {};
+      for (const prop of new Set(this.keyframes.flatMap(kf => Object.keys(kf.styles)))) {
+        const percents = this.keyframes.filter(kf => prop in kf.styles).map(kf => kf.percent);
+        if (percents[0] <= 0 && percents[percents.length - 1] >= 100) continue;
+
+        const value = read(prop);
+        if (value !== undefined && value !== null && value !== '') this.implicitStyles[prop] = value;
+      }
     }
+
+    this.compileTracks();
   }
 
   /**
-   * Handle extrapolation beyond the keyframes.
-   * @param {string} prop - The name of the property to extrapolate.
-   * @param {number} percent - The position to extrapolate.
-   * @param {Object} startFrame - The starting keyframe.
-   * @param {Object} endFrame - The ending keyframe.
-   * @param {string} direction - 'above' or 'below'.
-   * @returns {*} The extrapolated value.
+   * Add the implicit 0% and 100% keyframes of a property, see fillImplicitKeyframes().
+   * @param {string} prop - The property name.
+   * @param {Object[]} frames - The sorted keyframes that set the property.
+   * @returns {Object[]} The keyframes including the implicit ones.
    */
-  handleExtrapolation(prop, percent, startFrame, endFrame, direction) {
-    const factor = (percent - startFrame.percent) / (endFrame.percent - startFrame.percent);
-    const startValue = startFrame.styles[prop];
-    const endValue = endFrame.styles[prop];
+  addImplicitFrames(prop, frames) {
+    if (!this.implicitStyles || !(prop in this.implicitStyles)) return frames;
 
-    if (prop === 'transform') {
-      return this.extrapolateTransform(startValue, endValue, factor, direction);
+    // The captured value is already the underlying value, so it is never composited again
+    const implicit = (percent) => ({ percent, styles: { [prop]: this.implicitStyles[prop] }, composite: 'replace' });
+    const result = [...frames];
+    if (frames[0].percent > 0) result.unshift(implicit(0));
+    if (frames[frames.length - 1].percent < 100) result.push(implicit(100));
+    return result;
+  }
+
+  /**
+   * Compile the track of a single property.
+   * Tracks with relative or additive values depend on the underlying value, so they are
+   * marked dynamic and recompiled whenever a different underlying value is passed in.
+   * @param {string} prop - The property name.
+   * @param {Object[]} frames - The sorted keyframes that set the property.
+   * @returns {Object} The track: prop, frames, percents, values, discrete and dynamic flags and segments.
+   */
+  compileTrack(prop, frames) {
+    const track = {
+      prop,
+      frames,
+      percents: frames.map(frame => frame.percent),
+      discrete: this.getPropertyType(prop) === 'discrete',
+      dynamic: frames.some(frame => this.getComposite(frame) !== 'replace' || isRelative(frame.styles[prop]))
+    };
+    this.compileSegments(track, undefined);
+    return track;
+  }
+
+  /**
+   * Resolve the values of a track against an underlying value and compile its segments.
+   * @param {Object} track - The track.
+   * @param {*} underlying - The underlying value.
+   */
+  compileSegments(track, underlying) {
+    const { prop, frames, percents } = track;
+    const values = frames.map(frame => (track.dynamic
+      ? this.compositeValue(prop, underlying, frame.styles[prop], this.getComposite(frame))
+      : frame.styles[prop]));
+
+    const segments = [];
+    for (let i = 0; i < frames.length - 1; i++) {
+      segments.push({
+        start: percents[i],
+        end: percents[i + 1],
+        easing: this.getEasing(frames[i]),
+        interpolate: track.discrete
+          ? discreteInterpolator(values[i], values[i + 1])
+          : this.compilePropertyValue(prop, values[i], values[i + 1], frames[i])
+      });
     }
 
-    return this.interpolateNumericValues(startValue, endValue, factor, direction);
+    track.underlying = underlying;
+    track.values = values;
+    track.segments = segments;
   }
 
   /**
-   * Handle interpolation between keyframes.
-   * @param {string} prop - The name of the property to interpolate.
-   * @param {number} percent - The position to interpolate.
-   * @param {Object} startFrame - The starting keyframe.
-   * @param {Object} endFrame - The ending keyframe.
-   * @returns {*} The interpolated value.
+   * Evaluate a compiled track at a position.
+   * The segment is found with a binary search; a position on a keyframe uses the segment
+   * ending there, and positions before the first or after the last keyframe extrapolate
+   * along the first or last segment.
+   * @param {Object} track - The compiled track.
+   * @param {number} percent - The position (0-100).
+   * @param {*} [underlying] - The underlying value, used by dynamic tracks.
+   * @returns {*} The value of the property.
    */
-  handleInterpolation(prop, percent, startFrame, endFrame) {
-    const factor = (percent - startFrame.percent) / (endFrame.percent - startFrame.percent);
-    const startValue = startFrame.styles[prop];
-    const endValue = endFrame.styles[prop];
+  evaluateTrack(track, percent, underlying) {
+    if (track.dynamic && track.underlying !== underlying) this.compileSegments(track, underlying);
+
+    const { percents, values, segments } = track;
+    const index = findFirstAtOrAfter(percents, percent);
+
+    if (segments.length === 0) return values[0];
+
+    const segment = segments[Math.min(Math.max(index - 1, 0), segments.length - 1)];
+    const span = segment.end - segment.start;
+    const progress = span === 0 ? (percent < segment.start ? 0 : 1) : (percent - segment.start) / span;
+
+    return segment.interpolate(segment.easing(progress));
+  }
+
+  /**
+   * Combine a keyframe value with the underlying value of its property.
+   * Relative parts are resolved first; then 'add' appends transform and filter functions
+   * and sums numbers, lengths and colors, and 'accumulate' also sums matching transform
+   * functions argument by argument. Values that can't be combined replace the underlying value.
+   * @param {string} prop - The property name.
+   * @param {*} underlying - The underlying value, or undefined if unknown.
+   * @param {*} value - The keyframe value.
+   * @param {string} [composite='replace'] - 'replace', 'add' or 'accumulate'.
+   * @returns {*} The effective keyframe value.
+   */
+  compositeValue(prop, underlying, value, composite = 'replace') {
+    const format = (num) => this.formatNumber(num);
+    const resolved = resolveRelative(value, underlying, format, this.unitResolver);
+    if (composite === 'replace' || underlying === undefined || underlying === null || underlying === '') {
+      return resolved;
+    }
+
+    const name = camelCase(prop);
+    if (name === 'transform') {
+      const accumulated = composite === 'accumulate' &&
+        accumulateTransformLists(this.parseTransform(underlying), this.parseTransform(resolved), this.unitResolver);
+      return accumulated ? this.serializeTransform(accumulated) : appendFunctions(underlying, resolved);
+    } else if (name === 'filter') {
+      return appendFunctions(underlying, resolved);
+    } else if (this.getPropertyType(name) === 'discrete') {
+      return resolved;
+    }
+
+    return addValues(underlying, resolved, format, this.unitResolver) ?? resolved;
+  }
 
-    if (prop === 'transform') {
-      return this.interpolateTransform(startValue, endValue, factor);
-    } else if (prop === 'filter') {
-      return this.interpolateFilter(startValue, endValue, factor);
+  /**
+   * Compile the interpolator of a property between two values.
+   * The values are parsed once; the returned function only does arithmetic and formatting.
+   * @param {string} prop - The property name, in camelCase or kebab-case.
+   * @param {*} startValue - The starting value.
+   * @param {*} endValue - The ending value.
+   * @param {Object} startFrame - The keyframe the segment starts at.
+   * @returns {function(number): *} A function returning the value for an (eased) factor.
+   */
+  compilePropertyValue(prop, startValue, endValue, startFrame) {
+    const name = camelCase(prop);
+    const colorOptions = this.getColorOptions(startFrame);
+    const type = this.getPropertyType(name);
+    const discrete = discreteInterpolator(startValue, endValue);
+
+    if (typeof type === 'function') {
+      return (factor) => type(startValue, endValue, factor);
+    } else if (type === 'number' || type === 'length') {
+      return this.compileNumericValues(startValue, endValue);
+    } else if (type === 'color') {
+      return this.isColor(startValue) && this.isColor(endValue)
+        ? this.compileColor(startValue, endValue, colorOptions)
+        : discrete;
+    } else if (type === 'transform-list') {
+      return this.compileTransform(startValue, endValue);
+    } else if (type === 'list') {
+      return this.compileList(startValue, endValue, colorOptions) || discrete;
+    }
+
+    if (name === 'transform') {
+      return this.compileTransform(startValue, endValue);
+    } else if (name === 'filter') {
+      return this.compileFilter(startValue, endValue);
+    } else if (SHADOW_PROPERTIES.includes(name)) {
+      return this.compileShadow(startValue, endValue, colorOptions);
+    } else if (name === 'd') {
+      return this.compilePath(startValue, endValue);
+    } else if (name === 'points') {
+      return this.compilePoints(startValue, endValue);
+    }
+
+    const layout = BOX_PROPERTIES.includes(name) ? 'box' : POSITION_PROPERTIES.includes(name) ? 'position' : null;
+    if (layout) {
+      const list = this.compileList(startValue, endValue, colorOptions, layout);
+      if (list) return list;
+    }
+
+    return this.compileValue(startValue, endValue, colorOptions);
+  }
+
+  /**
+   * Interpolate two space/comma-separated value lists component by component.
+   * Numbers, lengths and colors are interpolated; keywords must match; functions
+   * with the same name (e.g. clip-path `inset()`, `circle()` or `polygon()` with
+   * equal point counts) are interpolated argument by argument.
+   * @param {string} start - The starting value.
+   * @param {string} end - The ending value.
+   * @param {number} factor - The interpolation factor.
+   * @param {Object} [colorOptions] - Color interpolation options, see getColorOptions().
+   * @param {string|null} [layout] - 'box' to expand 1-4 box values, 'position' to
+   *   convert position keywords to percentages.
+   * @returns {string|null} The interpolated value, or null if the lists don't match.
+   */
+  interpolateList(start, end, factor, colorOptions, layout = null) {
+    const list = this.compileList(start, end, colorOptions, layout);
+    return list ? list(factor) : null;
+  }
+
+  /**
+   * Compile the interpolator of two value lists, see interpolateList().
+   * @param {string} start - The starting value.
+   * @param {string} end - The ending value.
+   * @param {Object} [colorOptions] - Color interpolation options, see getColorOptions().
+   * @param {string|null} [layout] - 'box' or 'position', see interpolateList().
+   * @returns {function(number): string|null} The interpolator, or null if the lists don't match.
+   */
+  compileList(start, end, colorOptions, layout = null) {
+    const startLayers = tokenize(start);
+    const endLayers = tokenize(end);
+    if (startLayers.length === 0 || startLayers.length !== endLayers.length) return null;
+
+    const layers = [];
+    for (let i = 0; i < startLayers.length; i++) {
+      let startTokens = startLayers[i];
+      let endTokens = endLayers[i];
+      if (layout === 'box') {
+        startTokens = expandBox(startTokens);
+        endTokens = expandBox(endTokens);
+      } else if (layout === 'position') {
+        startTokens = normalizePosition(startTokens);
+        endTokens = normalizePosition(endTokens);
+      }
+      if (startTokens.length !== endTokens.length) return null;
+
+      const tokens = [];
+      for (let j = 0; j < startTokens.length; j++) {
+        const token = this.compileToken(startTokens[j], endTokens[j], colorOptions);
+        if (!token) return null;
+        tokens.push(token);
+      }
+      layers.push(tokens);
+    }
+
+    return (factor) => layers.map(tokens => tokens.map(token => token(factor)).join(' ')).join(', ');
+  }
+
+  /**
+   * Interpolate a single token of a value list.
+   * @param {string} start - The starting token.
+   * @param {string} end - The ending token.
+   * @param {number} factor - The interpolation factor.
+   * @param {Object} [colorOptions] - Color interpolation options, see getColorOptions().
+   * @returns {string|null} The interpolated token, or null if the tokens can't be interpolated.
+   */
+  interpolateToken(start, end, factor, colorOptions) {
+    const token = this.compileToken(start, end, colorOptions);
+    return token ? token(factor) : null;
+  }
+
+  /**
+   * Compile the interpolator of a single token, see interpolateToken().
+   * @param {string} start - The starting token.
+   * @param {string} end - The ending token.
+   * @param {Object} [colorOptions] - Color interpolation options, see getColorOptions().
+   * @returns {function(number): string|null} The interpolator, or null if the tokens can't be interpolated.
+   */
+  compileToken(start, end, colorOptions) {
+    if (start === end) return () => start;
+
+    const startTerms = parseTerms(start);
+    const endTerms = parseTerms(end);
+    if (startTerms && endTerms) {
+      return this.compileTerms(startTerms, endTerms);
+    }
+
+    if (this.isColor(start) && this.isColor(end)) {
+      return this.compileColor(start, end, colorOptions);
+    }
+
+    const startFunction = parseFunction(start);
+    const endFunction = parseFunction(end);
+    if (startFunction && endFunction && startFunction.name === endFunction.name) {
+      const layout = startFunction.name === 'inset' ? 'box' : null;
+      const body = this.compileList(startFunction.body, endFunction.body, colorOptions, layout);
+      return body && ((factor) => `${startFunction.name}(${body(factor)})`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Compile the interpolator of two term sums, converting units with the unit resolver.
+   * @param {Object<string, number>} startTerms - The starting terms, see parseTerms().
+   * @param {Object<string, number>} endTerms - The ending terms.
+   * @returns {function(number): string|null} The interpolator, or null if the units can't be mixed.
+   */
+  compileTerms(startTerms, endTerms) {
+    const from = resolveTerms(startTerms, this.unitResolver);
+    const to = resolveTerms(endTerms, this.unitResolver);
+    if (!interpolateTerms(from, to, 0)) return null;
+
+    const format = (num) => this.formatNumber(num);
+    return (factor) => serializeTerms(interpolateTerms(from, to, factor), format);
+  }
+
+  /**
+   * Interpolate box-shadow or text-shadow lists.
+   * Missing layers are padded with transparent zero shadows, so `none` fades in.
+   * @param {string} start - The starting shadow list.
+   * @param {string} end - The ending shadow list.
+   * @param {number} factor - The interpolation factor.
+   * @param {Object} [colorOptions] - Color interpolation options, see getColorOptions().
+   * @returns {string} The interpolated shadow list.
+   */
+  interpolateShadow(start, end, factor, colorOptions) {
+    return this.compileShadow(start, end, colorOptions)(factor);
+  }
+
+  /**
+   * Compile the interpolator of two shadow lists, see interpolateShadow().
+   * @param {string} start - The starting shadow list.
+   * @param {string} end - The ending shadow list.
+   * @param {Object} [colorOptions] - Color interpolation options, see getColorOptions().
+   * @returns {function(number): string} The interpolator.
+   */
+  compileShadow(start, end, colorOptions) {
+    const startLayers = parseShadow(start);
+    const endLayers = parseShadow(end);
+    if (!startLayers || !endLayers) {
+      return this.compileValue(start, end, colorOptions);
     }
+    if (startLayers.length === 0 && endLayers.length === 0) return () => 'none';
+
+    while (startLayers.length < endLayers.length) startLayers.push(emptyShadow(endLayers[startLayers.length]));
+    while (endLayers.length < startLayers.length) endLayers.push(emptyShadow(startLayers[endLayers.length]));
 
-    return this.interpolateValue(startValue, endValue, factor);
+    const discrete = discreteInterpolator(start, end);
+    const layers = [];
+    for (let i = 0; i < startLayers.length; i++) {
+      const from = startLayers[i];
+      const to = endLayers[i];
+      // inset and outer shadows can't be interpolated into each other
+      if (from.inset !== to.inset) return discrete;
+
+      // Omitted blur and spread radii are zero
+      const count = Math.max(from.lengths.length, to.lengths.length);
+      const lengths = [];
+      for (let j = 0; j < count; j++) {
+        lengths.push(this.compileToken(from.lengths[j] || '0px', to.lengths[j] || '0px', colorOptions));
+      }
+      if (lengths.includes(null)) return discrete;
+
+      // A missing color means currentcolor, which can only be matched by another missing color
+      const color = from.color && to.color
+        ? this.compileColor(from.color, to.color, colorOptions)
+        : discreteInterpolator(from.color, to.color);
+
+      layers.push({ inset: from.inset, lengths, color });
+    }
+
+    return (factor) => layers.map(layer => [
+      layer.inset ? 'inset' : null,
+      ...layer.lengths.map(length => length(factor)),
+      layer.color(factor)
+    ].filter(Boolean).join(' ')).join(', ');
+  }
+
+  /**
+   * Interpolate SVG path data (the `d` attribute or CSS property).
+   * Both paths are normalized to absolute cubic segments and subdivided until their
+   * subpath and segment counts match, so any two shapes can morph into each other.
+   * @param {string} startPath - The starting path data, optionally wrapped in `path("...")`.
+   * @param {string} endPath - The ending path data.
+   * @param {number} factor - The interpolation factor.
+   * @returns {string} The interpolated path data, wrapped in `path("...")` if the start value was.
+   */
+  interpolatePath(startPath, endPath, factor) {
+    return this.compilePath(startPath, endPath)(factor);
+  }
+
+  /**
+   * Compile the interpolator of two SVG paths, see interpolatePath().
+   * @param {string} startPath - The starting path data.
+   * @param {string} endPath - The ending path data.
+   * @returns {function(number): string} The interpolator.
+   */
+  compilePath(startPath, endPath) {
+    let startSubpaths;
+    let endSubpaths;
+    try {
+      [startSubpaths, endSubpaths] = matchPaths(parsePath(startPath), parsePath(endPath));
+    } catch (error) {
+      return discreteInterpolator(startPath, endPath);
+    }
+
+    const wrapped = /^\s*path\(/i.test(startPath);
+    const closed = startSubpaths.map((from, i) => discreteInterpolator(from.closed, endSubpaths[i].closed));
+
+    return (factor) => {
+      const mix = (a, b) => this.formatNumber(a + (b - a) * factor);
+      const commands = startSubpaths.map((from, i) => {
+        const to = endSubpaths[i];
+        const parts = [`M${mix(from.start[0], to.start[0])} ${mix(from.start[1], to.start[1])}`];
+        from.curves.forEach((curve, j) => {
+          parts.push(`C${curve.map((value, k) => mix(value, to.curves[j][k])).join(' ')}`);
+        });
+        if (closed[i](factor)) parts.push('Z');
+        return parts.join(' ');
+      });
+
+      const d = commands.join(' ');
+      return wrapped ? `path("${d}")` : d;
+    };
+  }
+
+  /**
+   * Interpolate SVG `points` lists (polygon and polyline).
+   * The shorter list gets extra points inserted on its longest edges.
+   * @param {string} startPoints - The starting points.
+   * @param {string} endPoints - The ending points.
+   * @param {number} factor - The interpolation factor.
+   * @returns {string} The interpolated points.
+   */
+  interpolatePoints(startPoints, endPoints, factor) {
+    return this.compilePoints(startPoints, endPoints)(factor);
+  }
+
+  /**
+   * Compile the interpolator of two SVG points lists, see interpolatePoints().
+   * @param {string} startPoints - The starting points.
+   * @param {string} endPoints - The ending points.
+   * @returns {function(number): string} The interpolator.
+   */
+  compilePoints(startPoints, endPoints) {
+    const from = parsePoints(startPoints);
+    const to = parsePoints(endPoints);
+    if (from.length === 0 || to.length === 0) return discreteInterpolator(startPoints, endPoints);
+
+    const count = Math.max(from.length, to.length);
+    const a = padPoints(from, count);
+    const b = padPoints(to, count);
+
+    return (factor) => a.map((point, i) => {
+      const x = this.formatNumber(point[0] + (b[i][0] - point[0]) * factor);
+      const y = this.formatNumber(point[1] + (b[i][1] - point[1]) * factor);
+      return `${x},${y}`;
+    }).join(' ');
   }
 
   interpolateFilter(startFilter, endFilter, factor) {
+    return this.compileFilter(startFilter, endFilter)(factor);
+  }
+
+  compileFilter(startFilter, endFilter) {
     const startFunctions = this.parseFilter(startFilter);
     const endFunctions = this.parseFilter(endFilter);
 
-    const interpolatedFunctions = [];
+    const functions = [];
     const allFunctions = new Set([...Object.keys(startFunctions), ...Object.keys(endFunctions)]);
 
     for (const func of allFunctions) {
       const start = startFunctions[func] || { value: 0, unit: this.getDefaultFilterUnit(func) };
       const end = endFunctions[func] || { value: start.value, unit: start.unit };
-      
-      const interpolatedValue = this.interpolateValue(start.value, end.value, factor);
-      interpolatedFunctions.push(`${func}(${interpolatedValue}${start.unit})`);
+
+      functions.push({ func, value: this.compileValue(start.value, end.value), unit: start.unit });
     }
 
-    return interpolatedFunctions.join(' ');
+    return (factor) => functions.map(({ func, value, unit }) => `${func}(${value(factor)}${unit})`).join(' ');
   }
 
   parseFilter(filter) {
@@ -178,70 +696,90 @@ export default class TweenCalculator {
     }
   }
 
-   interpolateTransform(startTransform, endTransform, factor) {
-    const _ = this;
-    const startFunctions = _.parseTransform(startTransform);
-    const endFunctions = _.parseTransform(endTransform);
-
-    const interpolatedFunctions = [];
-
-    const allFunctions = new Set([...Object.keys(startFunctions), ...Object.keys(endFunctions)]);
-    for (const func of allFunctions) {
-      const start = startFunctions[func] || (_.isNumericFunction(func) ? { value: 0, unit: 'px' } : { value: 0, unit: '' });
-      const end = endFunctions[func] || { value: start.value, unit: start.unit };
-      
-      if (Array.isArray(start.value)) {
-        const interpolatedArgs = start.value.map((arg, index) => {
-          const endArg = (end.value[index] !== undefined) ? end.value[index] : { value: arg.value, unit: arg.unit };
-          const interpolatedValue = _.interpolateValue(arg.value, endArg.value, factor, true);
-          return `${interpolatedValue}${arg.unit || ''}`;
-        });
-        interpolatedFunctions.push(`${func}(${interpolatedArgs.join(', ')})`);
-      } else {
-        const interpolatedValue = _.interpolateValue(start.value, end.value, factor, true);
-        interpolatedFunctions.push(`${func}(${interpolatedValue}${start.unit || ''})`);
-      }
-    }
-
-    return interpolatedFunctions.join(' ');
+  /**
+   * Interpolate between two transform strings.
+   * Functions are matched by position: compatible pairs (e.g. `translateX()` and
+   * `translate()`) are interpolated argument by argument, and the rest of the lists
+   * are interpolated through matrix decomposition. Factors outside 0-1 extrapolate.
+   * @param {string} startTransform - The starting transform value.
+   * @param {string} endTransform - The ending transform value.
+   * @param {number} factor - The interpolation factor.
+   * @returns {string} The interpolated transform value.
+   */
+  interpolateTransform(startTransform, endTransform, factor) {
+    return this.compileTransform(startTransform, endTransform)(factor);
   }
 
   /**
-   * Find the keyframes surrounding the current percent.
-   * @param {Object[]} keyframes - Array of relevant keyframes.
-   * @param {number} percent - The current percentage.
-   * @returns {Object} The surrounding startFrame and endFrame.
+   * Compile the interpolator of two transform strings, see interpolateTransform().
+   * @param {string} startTransform - The starting transform value.
+   * @param {string} endTransform - The ending transform value.
+   * @returns {function(number): string} The interpolator.
    */
-  findSurroundingKeyframes(keyframes, percent) {
-    let startFrame = keyframes[0];
-    let endFrame = keyframes[keyframes.length - 1];
-    for (let i = 0; i < keyframes.length - 1; i++) {
-      if (percent >= keyframes[i].percent && percent <= keyframes[i + 1].percent) {
-        startFrame = keyframes[i];
-        endFrame = keyframes[i + 1];
-        break;
-      }
-    }
-    return { startFrame, endFrame };
+  compileTransform(startTransform, endTransform) {
+    const from = this.parseTransform(startTransform);
+    const to = this.parseTransform(endTransform);
+    const functions = compileTransformLists(from, to, this.unitResolver);
+
+    // Lists that can't be resolved without layout (e.g. percentages inside a matrix) switch discretely
+    if (!functions) return discreteInterpolator(startTransform, endTransform);
+
+    return (factor) => this.serializeTransform(functions(factor));
   }
 
   /**
    * Interpolate numeric values with optional units.
+   * When the units differ, a unitless zero adopts the other side's unit, lengths the
+   * unit resolver can convert are interpolated in px, and anything else is output as
+   * `calc()` (e.g. `50%` to `20px` gives `calc(25% + 10px)` halfway).
    * @param {number|string} start - The starting value.
    * @param {number|string} end - The ending value.
    * @param {number} factor - The interpolation factor.
    * @returns {string|number} The interpolated value.
    */
   interpolateNumericValues(start, end, factor) {
+    return this.compileNumericValues(start, end)(factor);
+  }
+
+  /**
+   * Compile the interpolator of two numeric values, see interpolateNumericValues().
+   * @param {number|string} start - The starting value.
+   * @param {number|string} end - The ending value.
+   * @returns {function(number): (string|number)} The interpolator.
+   */
+  compileNumericValues(start, end) {
     const startParsed = this.parseValue(start);
     const endParsed = this.parseValue(end);
 
     if (startParsed && endParsed && startParsed.unit === endParsed.unit) {
-      const value = startParsed.value + (endParsed.value - startParsed.value) * factor;
-      return `${this.formatNumber(value)}${startParsed.unit || ''}`;
+      const unit = startParsed.unit || '';
+      const delta = endParsed.value - startParsed.value;
+      return (factor) => `${this.formatNumber(startParsed.value + delta * factor)}${unit}`;
     }
 
-    return factor < 1 ? start : end;
+    const startTerms = parseTerms(start);
+    const endTerms = parseTerms(end);
+    const terms = startTerms && endTerms && this.compileTerms(startTerms, endTerms);
+    if (terms) return terms;
+
+    return discreteInterpolator(start, end);
+  }
+
+  /**
+   * Set how relative length units are converted to px when endpoints use different units.
+   * @param {Object|function|null} units - A function `(value, unit) => px|null`, or a context object
+   *   with any of `element`, `fontSize`, `rootFontSize`, `viewportWidth` and `viewportHeight`.
+   *   Sizes missing from the context are read from the element or the document. Pass null to
+   *   output mixed units as `calc()` instead.
+   */
+  setUnitResolver(units) {
+    if (typeof units === 'function' || units === null) {
+      this.unitResolver = units;
+    } else {
+      this.unitResolver = createUnitResolver(units);
+    }
+    // Resolved lengths are baked into the compiled tracks
+    if (this.keyframes) this.compileTracks();
   }
 
   /**
@@ -250,74 +788,64 @@ export default class TweenCalculator {
    * @param {*} start - The starting value.
    * @param {*} end - The ending value.
    * @param {number} factor - The interpolation factor (can be <0 or >1 for extrapolation).
+   * @param {Object} [colorOptions] - Color interpolation options, see getColorOptions().
    * @returns {*} The interpolated value of the property.
    */
-  interpolateValue(start, end, factor) {
+  interpolateValue(start, end, factor, colorOptions) {
+    return this.compileValue(start, end, colorOptions)(factor);
+  }
+
+  /**
+   * Compile the interpolator of two values, see interpolateValue().
+   * @param {*} start - The starting value.
+   * @param {*} end - The ending value.
+   * @param {Object} [colorOptions] - Color interpolation options, see getColorOptions().
+   * @returns {function(number): *} The interpolator.
+   */
+  compileValue(start, end, colorOptions) {
     // Handle color interpolation
     if (this.isColor(start) && this.isColor(end)) {
-      return this.interpolateColor(start, end, factor);
+      return this.compileColor(start, end, colorOptions);
     }
 
     // Handle numeric values without units
     if (typeof start === 'number' && typeof end === 'number') {
-      return this.formatNumber(start + (end - start) * factor);
+      return (factor) => this.formatNumber(start + (end - start) * factor);
+    }
+
+    // Handle lists of values, e.g. `10px auto` or `blur(4px) opacity(0.5)`
+    if (typeof start === 'string' && typeof end === 'string' && /[\s,(]/.test(start + end) && !(parseTerms(start) && parseTerms(end))) {
+      const list = this.compileList(start, end, colorOptions);
+      if (list) return list;
     }
 
     // Handle numeric values with units
-    return this.interpolateNumericValues(start, end, factor);
+    return this.compileNumericValues(start, end);
   }
 
   /**
-   * Extrapolate a transform string beyond the keyframes.
-   * @param {string} startTransform - The starting transform value.
-   * @param {string} endTransform - The ending transform value.
-   * @param {number} factor - The extrapolation factor.
-   * @param {string} direction - 'above' or 'below' to indicate extrapolation direction.
-   * @returns {string} The extrapolated transform value.
+   * Parse a transform string into an ordered list of transform functions.
+   * @param {string} transform - The transform string to parse.
+   * @returns {Object[]} An array of `{ name, args }` objects, where each arg has a value and unit.
    */
-  extrapolateTransform(startTransform, endTransform, factor, direction) {
-    const startFunctions = this.parseTransform(startTransform);
-    const endFunctions = this.parseTransform(endTransform);
-
-    const interpolatedFunctions = [];
-    const allFunctions = new Set([...Object.keys(startFunctions), ...Object.keys(endFunctions)]);
-    for (const func of allFunctions) {
-      const start = startFunctions[func] || { value: 0, unit: 'px' };
-      const end = endFunctions[func] || { value: start.value, unit: start.unit };
-
-      if (Array.isArray(start.value)) {
-        const interpolatedArgs = start.value.map((arg, index) => {
-          const endArg = end.value[index] || { value: arg.value, unit: arg.unit };
-          return this.formatNumber(arg.value + (endArg.value - arg.value) * factor);
-        });
-        interpolatedFunctions.push(`${func}(${interpolatedArgs.join(', ')})`);
-      } else {
-        const interpolatedValue = this.formatNumber(start.value + (end.value - start.value) * factor);
-        interpolatedFunctions.push(`${func}(${interpolatedValue}${start.unit || ''})`);
-      }
-    }
-
-    return interpolatedFunctions.join(' ');
+  parseTransform(transform) {
+    return parseTransformList(transform);
   }
 
   /**
-   * Parse a transform string into an object of transform functions.
-   * @param {string} transform - The transform string to parse.
-   * @returns {Object} An object where keys are function names and values are objects with value and unit.
+   * Serialize a list of transform functions back into a transform string.
+   * @param {Object[]} functions - An array of `{ name, args }` objects.
+   * @returns {string} The transform string, or 'none' for an empty list.
    */
-  parseTransform(transform) {
-    const functions = {};
-    const regex = /(\w+)\(([^)]+)\)/g;
-    let match;
-    while ((match = regex.exec(transform)) !== null) {
-      const [, func, args] = match;
-      const argParts = args.split(/\s*,\s*|\s+/).map(arg => {
-        const valueMatch = arg.match(/^(-?\d*\.?\d+)(\D*)$/);
-        return valueMatch ? { value: parseFloat(valueMatch[1]), unit: valueMatch[2] } : { value: 0, unit: '' };
+  serializeTransform(functions) {
+    if (functions.length === 0) return 'none';
+    return functions.map(({ name, args }) => {
+      const values = args.map(arg => {
+        if (arg.terms) return serializeTerms(arg.terms, (num) => this.formatNumber(num));
+        return arg.value === Infinity ? 'none' : `${this.formatNumber(arg.value)}${arg.unit}`;
       });
-      functions[func] = argParts.length > 1 ? argParts : argParts[0];
-    }
-    return functions;
+      return `${name}(${values.join(', ')})`;
+    }).join(' ');
   }
 
   /**
@@ -330,28 +858,87 @@ export default class TweenCalculator {
   }
 
   /**
-   * Interpolate discrete properties.
-   * @param {string} prop - The name of the discrete property.
-   * @param {number} percent - The position (0-100) at which to interpolate.
-   * @returns {*} The value of the discrete property at the given position.
+   * Update the keyframes.
+   * The keyframes are parsed and compiled here, so call setKeyframes() again after mutating them.
+   * Implicit keyframes are removed; call fillImplicitKeyframes() again for the new keyframes.
+   * @param {Object[]} keyframes - Array of keyframe objects, each containing a percent and styles.
    */
-  interpolateDiscreteProperty(prop, percent) {
-    const relevantKeyframes = this.keyframes.filter(kf => prop in kf.styles);
-    if (relevantKeyframes.length === 0) return null;
+  setKeyframes(keyframes) {
+    // Resolve easings up front so an invalid value throws here rather than mid-animation
+    keyframes.forEach(kf => this.getEasing(kf));
+    keyframes.forEach(kf => {
+      if (kf.composite !== undefined && !COMPOSITE_OPERATIONS.includes(kf.composite)) {
+        throw new Error(`Composite must be one of: ${COMPOSITE_OPERATIONS.join(', ')}.`);
+      }
+      if (kf.colorSpace !== undefined && !COLOR_SPACES.includes(kf.colorSpace)) {
+        throw new Error(`Color space must be one of: ${COLOR_SPACES.join(', ')}.`);
+      }
+      if (kf.hueInterpolation !== undefined && !HUE_METHODS.includes(kf.hueInterpolation)) {
+        throw new Error(`Hue interpolation must be one of: ${HUE_METHODS.join(', ')}.`);
+      }
+    });
+    this.keyframes = keyframes.sort((a, b) => a.percent - b.percent);
+    this.implicitStyles = null;
+    this.compileTracks();
+  }
+
+  /**
+   * Set the default composite operation of the keyframes.
+   * @param {string} composite - 'replace', 'add' or 'accumulate'.
+   */
+  setComposite(composite) {
+    if (!COMPOSITE_OPERATIONS.includes(composite)) {
+      throw new Error(`Composite must be one of: ${COMPOSITE_OPERATIONS.join(', ')}.`);
+    }
+    this.composite = composite;
+    if (this.keyframes) this.compileTracks();
+  }
+
+  /**
+   * Get the composite operation of a keyframe's values.
+   * @param {Object} frame - The keyframe.
+   * @returns {string} 'replace', 'add' or 'accumulate'.
+   */
+  getComposite(frame) {
+    return frame.composite || this.composite;
+  }
 
-    const activeKeyframe = relevantKeyframes.reduce((prev, curr) =>
-      (curr.percent <= percent && curr.percent > prev.percent) ? curr : prev
-    );
+  /**
+   * Get the easing function for the segment that starts at a keyframe.
+   * @param {Object} frame - The keyframe the segment starts at.
+   * @returns {function(number): number} The easing function (linear when none is set).
+   */
+  getEasing(frame) {
+    return parseEasing(frame.easing);
+  }
 
-    return activeKeyframe.styles[prop];
+  /**
+   * Set the default color interpolation space for this tween.
+   * @param {string} colorSpace - 'srgb', 'linear-srgb', 'oklab' or 'oklch'.
+   * @param {string} [hueInterpolation='shorter'] - 'shorter', 'longer', 'increasing' or 'decreasing'.
+   */
+  setColorSpace(colorSpace, hueInterpolation = 'shorter') {
+    if (!COLOR_SPACES.includes(colorSpace)) {
+      throw new Error(`Color space must be one of: ${COLOR_SPACES.join(', ')}.`);
+    }
+    if (!HUE_METHODS.includes(hueInterpolation)) {
+      throw new Error(`Hue interpolation must be one of: ${HUE_METHODS.join(', ')}.`);
+    }
+    this.colorSpace = colorSpace;
+    this.hueInterpolation = hueInterpolation;
+    if (this.keyframes) this.compileTracks();
   }
 
   /**
-   * Update the keyframes.
-   * @param {Object[]} keyframes - Array of keyframe objects, each containing a percent and styles.
+   * Resolve the color interpolation options for the segment starting at a keyframe.
+   * @param {Object} frame - The keyframe the segment starts at.
+   * @returns {Object} An object with colorSpace and hueInterpolation.
    */
-  setKeyframes(keyframes) {
-    this.keyframes = keyframes.sort((a, b) => a.percent - b.percent);
+  getColorOptions(frame) {
+    return {
+      colorSpace: frame.colorSpace || this.colorSpace,
+      hueInterpolation: frame.hueInterpolation || this.hueInterpolation
+    };
   }
 
   /**
@@ -360,25 +947,51 @@ export default class TweenCalculator {
    * @returns {boolean} True if the value is a valid color, false otherwise.
    */
   isColor(value) {
-    return /^(#[0-9A-Fa-f]{6}|rgb|hsl|rgba|hsla)/.test(value);
+    return parseColor(value) !== null;
   }
 
   /**
    * Interpolate between two colors.
+   * Channels are blended with premultiplied alpha, so fading from `transparent`
+   * does not pass through black. The result is emitted as `rgba()` when either
+   * endpoint is translucent, otherwise as `rgb()`.
    * @param {string} start - The starting color.
    * @param {string} end - The ending color.
    * @param {number} factor - The interpolation factor.
+   * @param {Object} [colorOptions] - Overrides for colorSpace and hueInterpolation.
    * @returns {string} The interpolated color.
    */
-  interpolateColor(start, end, factor) {
-    const startRGB = this.colorToRGB(start);
-    const endRGB = this.colorToRGB(end);
+  interpolateColor(start, end, factor, colorOptions = {}) {
+    return this.compileColor(start, end, colorOptions)(factor);
+  }
 
-    const r = Math.round(startRGB[0] + (endRGB[0] - startRGB[0]) * factor);
-    const g = Math.round(startRGB[1] + (endRGB[1] - startRGB[1]) * factor);
-    const b = Math.round(startRGB[2] + (endRGB[2] - startRGB[2]) * factor);
+  /**
+   * Compile the interpolator of two colors, see interpolateColor().
+   * @param {string} start - The starting color.
+   * @param {string} end - The ending color.
+   * @param {Object} [colorOptions] - Overrides for colorSpace and hueInterpolation.
+   * @returns {function(number): string} The interpolator.
+   */
+  compileColor(start, end, colorOptions = {}) {
+    const {
+      colorSpace = this.colorSpace,
+      hueInterpolation = this.hueInterpolation
+    } = colorOptions;
+    const startRGBA = this.colorToRGBA(start);
+    const endRGBA = this.colorToRGBA(end);
+    const translucent = startRGBA[3] < 1 || endRGBA[3] < 1;
+
+    return (factor) => {
+      const mixed = mixColors(startRGBA, endRGBA, factor, colorSpace, hueInterpolation);
+      const r = Math.round(mixed[0]);
+      const g = Math.round(mixed[1]);
+      const b = Math.round(mixed[2]);
 
-    return `rgb(${r},${g},${b})`;
+      if (translucent) {
+        return `rgba(${r},${g},${b},${this.formatNumber(mixed[3])})`;
+      }
+      return `rgb(${r},${g},${b})`;
+    };
   }
 
   /**
@@ -387,15 +1000,17 @@ export default class TweenCalculator {
    * @returns {number[]} An array of RGB values.
    */
   colorToRGB(color) {
-    if (color.startsWith('#')) {
-      return [
-        parseInt(color.slice(1, 3), 16),
-        parseInt(color.slice(3, 5), 16),
-        parseInt(color.slice(5, 7), 16)
-      ];
-    }
-    // Add additional color format handling as needed
-    return [0, 0, 0];
+    return this.colorToRGBA(color).slice(0, 3);
+  }
+
+  /**
+   * Convert a color to RGBA values.
+   * Accepts hex (3, 4, 6 or 8 digits), rgb()/rgba(), hsl()/hsla() and named colors.
+   * @param {string} color - The color to convert.
+   * @returns {number[]} An array of RGBA values, with RGB in 0-255 and alpha in 0-1.
+   */
+  colorToRGBA(color) {
+    return parseColor(color) || [0, 0, 0, 1];
   }
 
   /**
@@ -413,4 +1028,103 @@ export default class TweenCalculator {
     }
     return null;
   }
+
+  /**
+   * The properties that are never interpolated, in camelCase.
+   * @deprecated Read-only since properties are typed; use getPropertyType() and registerProperty(prop, 'discrete').
+   * @type {string[]}
+   */
+  get discreteProperties() {
+    return [...this.propertyTypes].filter(([, type]) => type === 'discrete').map(([prop]) => prop);
+  }
+
+  /**
+   * Find the keyframes surrounding the current percent.
+   * @deprecated Tracks are precompiled, see compileTracks().
+   * @param {Object[]} keyframes - Array of relevant keyframes.
+   * @param {number} percent - The current percentage.
+   * @returns {Object} The surrounding startFrame and endFrame.
+   */
+  findSurroundingKeyframes(keyframes, percent) {
+    const index = findFirstAtOrAfter(keyframes.map(kf => kf.percent), percent);
+    if (index === 0 || index === keyframes.length) {
+      return { startFrame: keyframes[0], endFrame: keyframes[keyframes.length - 1] };
+    }
+    return { startFrame: keyframes[index - 1], endFrame: keyframes[index] };
+  }
+
+  /**
+   * Handle interpolation between keyframes.
+   * @deprecated Use calculateTween() or interpolateProperty().
+   * @param {string} prop - The name of the property to interpolate.
+   * @param {number} percent - The position to interpolate.
+   * @param {Object} startFrame - The starting keyframe.
+   * @param {Object} endFrame - The ending keyframe.
+   * @returns {*} The interpolated value.
+   */
+  handleInterpolation(prop, percent, startFrame, endFrame) {
+    const factor = (percent - startFrame.percent) / (endFrame.percent - startFrame.percent);
+    const startValue = startFrame.styles[prop];
+    const endValue = endFrame.styles[prop];
+    const interpolate = this.getPropertyType(prop) === 'discrete'
+      ? discreteInterpolator(startValue, endValue)
+      : this.compilePropertyValue(prop, startValue, endValue, startFrame);
+    return interpolate(factor);
+  }
+
+  /**
+   * Handle extrapolation beyond the keyframes.
+   * @deprecated Use calculateTween() or interpolateProperty(), which extrapolate.
+   * @param {string} prop - The name of the property to extrapolate.
+   * @param {number} percent - The position to extrapolate.
+   * @param {Object} startFrame - The starting keyframe.
+   * @param {Object} endFrame - The ending keyframe.
+   * @returns {*} The extrapolated value.
+   */
+  handleExtrapolation(prop, percent, startFrame, endFrame) {
+    return this.handleInterpolation(prop, percent, startFrame, endFrame);
+  }
+
+  /**
+   * Extrapolate a transform string beyond the keyframes.
+   * @deprecated Use interpolateTransform(), which extrapolates factors outside 0-1.
+   * @param {string} startTransform - The starting transform value.
+   * @param {string} endTransform - The ending transform value.
+   * @param {number} factor - The extrapolation factor.
+   * @returns {string} The extrapolated transform value.
+   */
+  extrapolateTransform(startTransform, endTransform, factor) {
+    return this.interpolateTransform(startTransform, endTransform, factor);
+  }
+
+  /**
+   * Interpolate discrete properties.
+   * @deprecated Use interpolateProperty().
+   * @param {string} prop - The name of the discrete property.
+   * @param {number} percent - The position (0-100) at which to interpolate.
+   * @returns {*} The value of the discrete property at the given position.
+   */
+  interpolateDiscreteProperty(prop, percent) {
+    return this.interpolateProperty(prop, percent);
+  }
+}
+
+/**
+ * Find the first index whose percent is at or after a position.
+ * @param {number[]} percents - The sorted keyframe percents.
+ * @param {number} percent - The position.
+ * @returns {number} The index, or percents.length if the position is after the last percent.
+ */
+function findFirstAtOrAfter(percents, percent) {
+  let low = 0;
+  let high = percents.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (percents[mid] < percent) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
 }
@@ -0,0 +1,135 @@
+/**
+ * Unit handling used by TweenCalculator for values whose endpoints use
+ * different units. Mixed values are represented as sums of terms keyed by
+ * unit, e.g. `calc(50% + 10px)` is `{ '%': 50, px: 10 }`.
+ */
+
+/**
+ * Pixel sizes of the absolute CSS length units.
+ * @type {Object<string, number>}
+ */
+const ABSOLUTE_UNITS = { px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, q: 96 / 101.6, pt: 4 / 3, pc: 16 };
+
+/**
+ * Create a function converting relative lengths to pixels.
+ * Sizes that are not given are read from the element (or the document) when needed.
+ * @param {Object} [context] - What relative units are relative to.
+ * @param {Element} [context.element] - Element used for `em` and as a fallback source of the other sizes.
+ * @param {number} [context.fontSize] - The font size in px used for `em`.
+ * @param {number} [context.rootFontSize] - The root font size in px used for `rem`.
+ * @param {number} [context.viewportWidth] - The viewport width in px used for `vw`.
+ * @param {number} [context.viewportHeight] - The viewport height in px used for `vh`.
+ * @returns {function(number, string): (number|null)} A resolver returning px, or null for an unknown unit.
+ */
+export function createUnitResolver({ element, fontSize, rootFontSize, viewportWidth, viewportHeight } = {}) {
+  const hasWindow = typeof window !== 'undefined';
+  const fontSizeOf = (el) => (el && hasWindow ? parseFloat(window.getComputedStyle(el).fontSize) : NaN);
+
+  const sizes = {
+    em: () => fontSize ?? fontSizeOf(element),
+    rem: () => rootFontSize ?? fontSizeOf(hasWindow ? document.documentElement : null),
+    vw: () => (viewportWidth ?? (hasWindow ? window.innerWidth : NaN)) / 100,
+    vh: () => (viewportHeight ?? (hasWindow ? window.innerHeight : NaN)) / 100
+  };
+  sizes.vmin = () => Math.min(sizes.vw(), sizes.vh());
+  sizes.vmax = () => Math.max(sizes.vw(), sizes.vh());
+
+  return (value, unit) => {
+    const size = sizes[unit] ? sizes[unit]() : ABSOLUTE_UNITS[unit];
+    return size === undefined || Number.isNaN(size) ? null : value * size;
+  };
+}
+
+/**
+ * Parse a number, a dimension (`10px`) or a `calc()` sum of dimensions into terms.
+ * Only `+` and `-` are supported inside `calc()`.
+ * @param {string|number} value - The value to parse.
+ * @returns {Object<string, number>|null} The terms keyed by unit ('' for plain numbers), or null.
+ */
+export function parseTerms(value) {
+  if (typeof value === 'number') return { '': value };
+
+  const text = String(value).trim();
+  const calc = text.match(/^calc\((.*)\)$/i);
+  const source = calc ? calc[1] : text;
+  const termRegex = /^\s*([+-])?\s*(\d*\.?\d+(?:e[+-]?\d+)?)([a-z%]*)\s*/i;
+
+  const terms = {};
+  let rest = source;
+  let first = true;
+  while (rest.length) {
+    const match = rest.match(termRegex);
+    // Without calc() only a single term is valid, and every later term needs an operator
+    if (!match || (!calc && !first) || (!first && !match[1])) return null;
+    const sign = match[1] === '-' ? -1 : 1;
+    const unit = match[3].toLowerCase();
+    terms[unit] = (terms[unit] || 0) + sign * parseFloat(match[2]);
+    rest = rest.slice(match[0].length);
+    first = false;
+  }
+
+  return first ? null : terms;
+}
+
+/**
+ * Convert every term that can be resolved to pixels into a single px term.
+ * @param {Object<string, number>} terms - The terms keyed by unit.
+ * @param {function(number, string): (number|null)} [resolve] - Converts relative units to px.
+ * @returns {Object<string, number>} The converted terms.
+ */
+export function resolveTerms(terms, resolve) {
+  const resolved = {};
+  for (const [unit, value] of Object.entries(terms)) {
+    const px = unit in ABSOLUTE_UNITS ? value * ABSOLUTE_UNITS[unit] : resolve ? resolve(value, unit) : null;
+    if (px === null || unit === '%' || unit === '') {
+      resolved[unit] = (resolved[unit] || 0) + value;
+    } else {
+      resolved.px = (resolved.px || 0) + px;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Interpolate two term sums unit by unit.
+ * Missing units count as zero. Plain numbers can't be mixed with dimensions,
+ * except for a unitless zero, which adopts the other side's units.
+ * @param {Object<string, number>} from - The starting terms.
+ * @param {Object<string, number>} to - The ending terms.
+ * @param {number} factor - The interpolation factor.
+ * @returns {Object<string, number>|null} The interpolated terms, or null if they can't be mixed.
+ */
+export function interpolateTerms(from, to, factor) {
+  const isZero = (terms) => Object.keys(terms).length === 1 && terms[''] === 0;
+  if (isZero(from) && !isZero(to)) from = {};
+  if (isZero(to) && !isZero(from)) to = {};
+
+  const units = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+  if (units.includes('') && units.length > 1) return null;
+
+  const result = {};
+  for (const unit of units) {
+    const start = from[unit] || 0;
+    const end = to[unit] || 0;
+    result[unit] = start + (end - start) * factor;
+  }
+  return result;
+}
+
+/**
+ * Serialize terms as a plain dimension, or as `calc()` when several units remain.
+ * @param {Object<string, number>} terms - The terms keyed by unit.
+ * @param {function(number): string} format - Formats a number.
+ * @returns {string} The CSS value.
+ */
+export function serializeTerms(terms, format) {
+  const entries = Object.entries(terms).filter(([, value], _, all) => all.length === 1 || format(value) !== '0');
+  if (entries.length === 0) return '0';
+  if (entries.length === 1) return `${format(entries[0][1])}${entries[0][0]}`;
+
+  return `calc(${entries.map(([unit, value], i) => {
+    const magnitude = `${format(Math.abs(value))}${unit}`;
+    if (i === 0) return value < 0 ? `-${magnitude}` : magnitude;
+    return `${value < 0 ? '-' : '+'} ${magnitude}`;
+  }).join(' ')})`;
+}